@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Verify the audit log hash chain offline
+ *
+ * Usage: node audit-verify.js [path/to/fractal-audit.jsonl]
+ * Without a path, the log configured in config.json is checked.
+ * Exits 0 if the chain is intact, 1 if tampering was detected, 2 on error.
+ */
+
+const { readFileSync } = require('fs');
+const path = require('path');
+const AuditLog = require('./lib/audit');
+
+function auditFile() {
+  if (process.argv[2]) return path.resolve(process.argv[2]);
+
+  const config = JSON.parse(readFileSync(path.join(__dirname, 'config.json'), 'utf8'));
+  return config.audit?.dataFile || path.join(path.dirname(config.registry.dataFile), 'fractal-audit.jsonl');
+}
+
+try {
+  const file = auditFile();
+  const result = AuditLog.verifyFile(file);
+
+  console.log(`Audit log: ${file}`);
+  console.log(`Entries:   ${result.entries}`);
+  if (result.torn.length > 0) {
+    console.log(`⚠️  Torn write(s) skipped (crash mid-append), line(s) ${result.torn.join(', ')}`);
+  }
+
+  if (result.ok) {
+    console.log('✅ Hash chain intact');
+    process.exit(0);
+  }
+
+  console.log(`❌ ${result.problems.length} problem(s) found:`);
+  for (const { line, seq, problem } of result.problems) {
+    console.log(`   ${line !== null ? `line ${line}` : 'head'}${seq !== null ? ` (seq ${seq})` : ''}: ${problem}`);
+  }
+  process.exit(1);
+} catch (err) {
+  console.error('Audit verification failed:', err.message);
+  process.exit(2);
+}
@@ -0,0 +1,307 @@
+/**
+ * Audit Log
+ * Append-only, hash-chained record of API actions (JSON Lines).
+ *
+ * Each entry carries the hash of the previous one and its own hash over
+ * "<prevHash><entry JSON>", so editing, removing or reordering any entry
+ * breaks the chain. A head file holds the last seq and hash, so truncating
+ * the log is detected too. The chain is unkeyed: whoever can write the log
+ * can rewrite it and the head file consistently, which only a copy of the
+ * head hash kept elsewhere reveals.
+ *
+ * Request context (caller, config digests, operations) is tracked with
+ * AsyncLocalStorage, so config transactions and journaled operations
+ * running on behalf of a request are attributed to it.
+ */
+
+const { readFileSync, writeFileSync, appendFileSync, renameSync, existsSync } = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const path = require('path');
+const { logger } = require('./utils');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Request fields whose values never reach the log
+const SECRET_KEYS = /secret|token|password|passphrase|credential|key$/i;
+
+class AuditLog {
+  constructor(config = {}, defaultDataDir) {
+    this.dataFile = config.dataFile || path.join(defaultDataDir, 'fractal-audit.jsonl');
+    this.headFile = `${this.dataFile}.head`;
+    this.includeReads = config.includeReads || false;
+    this.context = new AsyncLocalStorage();
+
+    const last = this.lastEntry();
+    this.seq = last ? last.seq : 0;
+    this.lastHash = last ? last.hash : GENESIS_HASH;
+  }
+
+  /**
+   * Last entry on disk (null for a new log). An unreadable last line is a
+   * write torn by a crash: it is terminated and skipped, the chain continues
+   * from the entry before it, and verify() lists it under `torn`.
+   */
+  lastEntry() {
+    if (!existsSync(this.dataFile)) {
+      logger.info(`Audit log not found, creating: ${this.dataFile}`);
+      return null;
+    }
+
+    const content = readFileSync(this.dataFile, 'utf8');
+    const lines = content.split('\n').filter(Boolean);
+
+    for (let i = lines.length - 1; i >= 0; i--) {
+      const entry = parseLine(lines[i]);
+      if (entry) return entry;
+
+      if (i === lines.length - 1) {
+        logger.warn(`Audit log ${this.dataFile} ends with a torn write (line ${i + 1}), skipping it`);
+        if (!content.endsWith('\n')) appendFileSync(this.dataFile, '\n', 'utf8');
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Append an entry to the chain and return it
+   */
+  append(fields) {
+    const entry = {
+      seq: this.seq + 1,
+      at: new Date().toISOString(),
+      ...fields,
+      prevHash: this.lastHash
+    };
+    entry.hash = hashEntry(entry);
+
+    appendFileSync(this.dataFile, JSON.stringify(entry) + '\n', { encoding: 'utf8', mode: 0o600 });
+    this.seq = entry.seq;
+    this.lastHash = entry.hash;
+
+    const tmpFile = `${this.headFile}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify({ seq: entry.seq, hash: entry.hash }), 'utf8');
+    renameSync(tmpFile, this.headFile);
+
+    return entry;
+  }
+
+  /**
+   * Never throws: a broken audit write is logged, the request carries on
+   */
+  record(fields) {
+    try {
+      return this.append(fields);
+    } catch (err) {
+      logger.error(`Failed to write audit entry (${fields.action}):`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Run fn with an audit context: { actor, action, agentId, ... }.
+   * Contexts without a request entry of their own pass `recorded: true`.
+   */
+  run(ctx, fn) {
+    return this.context.run({ config: [], configRecorded: 0, operations: [], recorded: false, ...ctx }, fn);
+  }
+
+  current() {
+    return this.context.getStore();
+  }
+
+  /**
+   * Note a config transaction ({ label, before, after, changes }) on the current context
+   */
+  noteConfig(change) {
+    this.current()?.config.push(change);
+  }
+
+  /**
+   * Note a finished operation. Operations that outlive their request
+   * (202 responses) and ones outside any request (startup recovery,
+   * approved proposals) get an entry of their own.
+   */
+  noteOperation(op) {
+    const ctx = this.current();
+    const summary = { id: op.id, type: op.type, status: op.status };
+
+    if (ctx && !ctx.recorded) {
+      ctx.operations.push(summary);
+      return;
+    }
+
+    const config = ctx ? ctx.config.slice(ctx.configRecorded) : [];
+    if (ctx) ctx.configRecorded = ctx.config.length;
+
+    this.record({
+      actor: ctx?.actor || { id: null, name: 'system' },
+      action: `operation.${op.type}`,
+      agentId: op.agentId,
+      params: { operationId: op.id, ...(ctx?.seq && { requestedBy: ctx.action, requestSeq: ctx.seq }) },
+      config: digests(config),
+      outcome: {
+        status: op.status === 'completed' ? 'success' : 'failure',
+        operation: summary,
+        ...(op.error && { error: op.error })
+      }
+    });
+  }
+
+  /**
+   * Record the request entry for a context once its response is sent
+   */
+  finishRequest(ctx, httpStatus, error = null) {
+    ctx.recorded = true;
+    ctx.configRecorded = ctx.config.length;
+
+    const entry = this.record({
+      actor: ctx.actor,
+      action: ctx.action,
+      method: ctx.method,
+      path: ctx.path,
+      agentId: ctx.agentId || null,
+      params: redact(ctx.params),
+      config: digests(ctx.config),
+      outcome: {
+        status: httpStatus === 202 ? 'accepted' : httpStatus < 400 ? 'success' : 'failure',
+        httpStatus,
+        ...(error && { error }),
+        ...(ctx.operations.length > 0 && { operations: ctx.operations })
+      }
+    });
+    ctx.seq = entry?.seq;
+    return entry;
+  }
+
+  /**
+   * Entries matching the filters, newest first
+   */
+  query({ since = null, until = null, actor = null, agentId = null, action = null, outcome = null, limit = 100 } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+
+    return this.readAll()
+      .filter(entry => {
+        const time = new Date(entry.at).getTime();
+        if (sinceTime !== null && time < sinceTime) return false;
+        if (untilTime !== null && time > untilTime) return false;
+        if (actor && entry.actor?.name !== actor && entry.actor?.id !== actor) return false;
+        if (agentId && entry.agentId !== agentId) return false;
+        if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) return false;
+        if (outcome && entry.outcome?.status !== outcome) return false;
+        return true;
+      })
+      .slice(-limit)
+      .reverse();
+  }
+
+  readAll() {
+    if (!existsSync(this.dataFile)) return [];
+    return readFileSync(this.dataFile, 'utf8').split('\n').filter(Boolean).map(parseLine).filter(Boolean);
+  }
+
+  /**
+   * Walk the chain. Returns { ok, entries, head, problems: [{ line, seq, problem }], torn: [line] }
+   */
+  verify() {
+    return verifyFile(this.dataFile, this.headFile);
+  }
+}
+
+/**
+ * Verify a log file and its head file (also used by audit-verify.js).
+ * Unparseable lines are torn writes: they hold no entry, and one standing in
+ * for a removed entry still breaks the chain at the next line.
+ */
+function verifyFile(dataFile, headFile = `${dataFile}.head`) {
+  const problems = [];
+  const torn = [];
+  let prevHash = GENESIS_HASH;
+  let prevSeq = 0;
+  let count = 0;
+
+  const lines = existsSync(dataFile) ? readFileSync(dataFile, 'utf8').split('\n') : [];
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  lines.forEach((line, i) => {
+    const entry = parseLine(line);
+    if (!entry) {
+      torn.push(i + 1);
+      return;
+    }
+    count++;
+
+    if (entry.seq !== prevSeq + 1) {
+      problems.push({ line: i + 1, seq: entry.seq, problem: `sequence gap: expected ${prevSeq + 1}` });
+    }
+    if (entry.prevHash !== prevHash) {
+      problems.push({ line: i + 1, seq: entry.seq, problem: 'prevHash does not match the previous entry' });
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      problems.push({ line: i + 1, seq: entry.seq, problem: 'hash mismatch, entry was modified' });
+    }
+
+    prevSeq = entry.seq;
+    prevHash = entry.hash;
+  });
+
+  let head = null;
+  if (existsSync(headFile)) {
+    head = JSON.parse(readFileSync(headFile, 'utf8'));
+    if (head.seq !== prevSeq || head.hash !== prevHash) {
+      problems.push({
+        line: null,
+        seq: head.seq,
+        problem: `head file expects entry ${head.seq} (${head.hash.slice(0, 12)}…), log ends at ${prevSeq}; entries were removed or appended outside the API`
+      });
+    }
+  } else if (count > 0) {
+    problems.push({ line: null, seq: null, problem: 'head file missing' });
+  }
+
+  return { ok: problems.length === 0, entries: count, head, problems, torn };
+}
+
+function parseLine(line) {
+  try {
+    const entry = JSON.parse(line);
+    return entry && typeof entry === 'object' ? entry : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function hashEntry(entry) {
+  const { hash, ...rest } = entry;
+  return crypto.createHash('sha256').update(rest.prevHash + JSON.stringify(rest)).digest('hex');
+}
+
+/**
+ * Config digests for a list of transactions: before the first, after the last
+ */
+function digests(changes) {
+  if (changes.length === 0) return null;
+  return {
+    before: changes[0].before,
+    after: changes[changes.length - 1].after,
+    transactions: changes.map(change => ({ label: change.label, changes: change.changes }))
+  };
+}
+
+/**
+ * Copy of request params with secret-looking values replaced
+ */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, val]) =>
+    [key, SECRET_KEYS.test(key) && val !== undefined ? '[REDACTED]' : redact(val)]
+  ));
+}
+
+AuditLog.verifyFile = verifyFile;
+AuditLog.redact = redact;
+
+module.exports = AuditLog;
@@ -0,0 +1,199 @@
+/**
+ * Fractal Bundles
+ * Portable exports for moving a fractal between hosts: its registry entry,
+ * agents.list entry, binding and group config, plus the workspace as a
+ * base64 tar.gz (memory/ included).
+ *
+ * Imports stage the archive on disk, so the create operation's journal holds
+ * a path instead of the workspace. The archive root is the exported agentId;
+ * it is extracted next to the workspaces and renamed into place, so an
+ * import can also change the agentId.
+ */
+
+const { mkdir, readdir, writeFile, rename, rm, access } = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./utils');
+
+const execFileAsync = promisify(execFile);
+
+const FORMAT = 'fractal-bundle';
+const VERSION = 1;
+const IMPORTED_AGENT_FIELDS = ['model', 'identity', 'tools'];
+
+class BundleStore {
+  constructor(config = {}, workspace, defaultDataDir) {
+    this.workspace = workspace;
+    this.stagingDir = config.stagingDir || path.join(defaultDataDir, 'fractal-imports');
+    this.maxBytes = (config.maxSizeMB || 100) * 1024 * 1024;
+    this.tarCommand = config.tarCommand || 'tar';
+  }
+
+  /**
+   * Bundle a fractal. `gateway` holds its { agent, binding, groupConfig } from the live config.
+   */
+  async export(fractal, gateway) {
+    const { agentId } = fractal;
+    const usage = await this.workspace.usage(agentId);
+
+    let archive;
+    try {
+      ({ stdout: archive } = await execFileAsync(this.tarCommand, ['-czf', '-', '-C', this.workspace.baseDir, agentId], {
+        encoding: 'buffer',
+        maxBuffer: this.maxBytes
+      }));
+    } catch (err) {
+      const reason = err.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER'
+        ? `archive exceeds ${this.maxBytes / 1024 / 1024} MB (bundles.maxSizeMB)`
+        : String(err.stderr || err.message).trim();
+      throw new Error(`Exporting workspace of ${agentId} failed: ${reason}`);
+    }
+
+    logger.info(`Exported ${agentId}: ${usage.files} files, ${archive.length} bytes compressed`);
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      exportedFrom: { host: os.hostname(), workspace: fractal.workspace },
+      fractal,
+      agent: gateway.agent,
+      binding: gateway.binding,
+      groupConfig: gateway.groupConfig,
+      workspace: {
+        format: 'tar.gz',
+        encoding: 'base64',
+        root: agentId,
+        files: usage.files,
+        size: archive.length,
+        sha256: crypto.createHash('sha256').update(archive).digest('hex'),
+        data: archive.toString('base64')
+      }
+    };
+  }
+
+  /**
+   * Largest POST /fractal/import body: the archive base64-encoded, plus room for the rest of the bundle
+   */
+  get maxRequestBytes() {
+    return Math.ceil(this.maxBytes / 3) * 4 + 1024 * 1024;
+  }
+
+  /**
+   * The agents.list fields an import keeps. Sandbox settings (binds, capabilities,
+   * workspace access) come from this host's template, as for a new create.
+   */
+  importableAgent(agent) {
+    if (!agent) return null;
+    return Object.fromEntries(IMPORTED_AGENT_FIELDS.filter(key => agent[key] !== undefined).map(key => [key, agent[key]]));
+  }
+
+  /**
+   * Problems with an uploaded bundle
+   */
+  validate(bundle) {
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+      return ['bundle is required (the `bundle` of GET /fractal/:id/export)'];
+    }
+    if (bundle.format !== FORMAT || bundle.version !== VERSION) {
+      return [`bundle must be format '${FORMAT}' version ${VERSION}`];
+    }
+
+    const errors = [];
+    if (!isObject(bundle.fractal) || !/^[a-z0-9-]+$/.test(bundle.fractal.agentId || '')) {
+      errors.push('bundle.fractal must be a registry entry with an agentId');
+    }
+    if (bundle.agent !== null && !(isObject(bundle.agent) && typeof bundle.agent.id === 'string')) {
+      errors.push('bundle.agent must be an agents.list entry or null');
+    }
+    if (bundle.groupConfig !== null && !isObject(bundle.groupConfig)) {
+      errors.push('bundle.groupConfig must be an object or null');
+    }
+
+    const ws = bundle.workspace;
+    if (!isObject(ws) || ws.format !== 'tar.gz' || ws.encoding !== 'base64' ||
+        typeof ws.data !== 'string' || !/^[a-f0-9]{64}$/.test(ws.sha256 || '') || !/^[a-z0-9-]+$/.test(ws.root || '')) {
+      errors.push('bundle.workspace must be a base64 tar.gz with root and sha256');
+    }
+    return errors;
+  }
+
+  /**
+   * Write a validated bundle's workspace archive to the staging directory.
+   * Returns its path; throws if the checksum doesn't match.
+   */
+  async stage(bundle) {
+    const archive = Buffer.from(bundle.workspace.data, 'base64');
+    if (crypto.createHash('sha256').update(archive).digest('hex') !== bundle.workspace.sha256) {
+      throw new Error('Bundle workspace is corrupt (checksum mismatch)');
+    }
+
+    await mkdir(this.stagingDir, { recursive: true, mode: 0o700 });
+    const file = path.join(this.stagingDir, `${bundle.fractal.agentId}-${crypto.randomBytes(4).toString('hex')}.tar.gz`);
+    await writeFile(file, archive, { mode: 0o600 });
+    return file;
+  }
+
+  /**
+   * Extract a staged archive as agentId's workspace, in this host's layout.
+   * Fails if the workspace already exists. Returns the workspace path.
+   */
+  async unpack(file, root, agentId) {
+    const workspacePath = path.join(this.workspace.baseDir, agentId);
+    const staging = path.join(this.workspace.baseDir, `.import-${agentId}-${crypto.randomBytes(4).toString('hex')}`);
+
+    logger.info(`Unpacking ${path.basename(file)} into ${workspacePath}`);
+    await mkdir(staging, { recursive: true, mode: 0o700 });
+    try {
+      await execFileAsync(this.tarCommand, ['-xzf', file, '-C', staging, '--no-same-owner'], { maxBuffer: 10 * 1024 * 1024 });
+      await access(path.join(staging, root));
+      // rename() replaces an empty directory, so check first
+      if (await access(workspacePath).then(() => true, () => false)) {
+        throw new Error(`${workspacePath} already exists`);
+      }
+      await rename(path.join(staging, root), workspacePath);
+    } catch (err) {
+      throw new Error(`Unpacking workspace failed: ${String(err.stderr || err.message).trim()}`);
+    } finally {
+      await rm(staging, { recursive: true, force: true });
+    }
+
+    await this.workspace.setOwnership(workspacePath);
+    this.workspace.watchWorkspace(agentId);
+    return workspacePath;
+  }
+
+  /**
+   * Remove a staged archive once its import finished (either way)
+   */
+  async discard(file) {
+    await rm(file, { force: true });
+  }
+
+  /**
+   * Remove archives left staged by imports interrupted by a crash (on startup, after recovery)
+   */
+  async cleanStaging() {
+    let files = [];
+    try {
+      files = await readdir(this.stagingDir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    for (const file of files) {
+      await rm(path.join(this.stagingDir, file), { force: true });
+    }
+    if (files.length > 0) {
+      logger.info(`Removed ${files.length} staged import archive(s)`);
+    }
+  }
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = BundleStore;
@@ -0,0 +1,181 @@
+/**
+ * Docker Engine Client
+ * Finds and controls the sandbox containers OpenClaw creates for a fractal
+ * (openclaw-sbx-agent-<id>-*) over the Engine API, on every configured daemon.
+ *
+ * Which daemon runs a fractal's container isn't fixed: OpenClaw uses the
+ * local one whenever the image exists locally, whatever the agent's
+ * dockerHost says. So every daemon is searched and each container is
+ * reported with the daemon hosting it.
+ */
+
+const http = require('http');
+const { HttpError } = require('./utils');
+
+class DockerClient {
+  constructor(config = {}, registry) {
+    this.registry = registry;
+    this.daemons = [...new Set(config.hosts || defaultHosts())].map(parseHost);
+    this.containerPrefix = config.containerPrefix || 'openclaw-sbx-agent-';
+    this.apiVersion = config.apiVersion || null;
+    this.timeoutMs = (config.timeoutSeconds || 5) * 1000;
+    this.stopTimeoutSeconds = config.stopTimeoutSeconds || 10;
+  }
+
+  /**
+   * Engine API request to one daemon; resolves with the parsed body (null when empty)
+   */
+  request(daemon, method, path) {
+    const prefix = this.apiVersion ? `/v${this.apiVersion}` : '';
+
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        ...daemon.options,
+        method,
+        path: `${prefix}${path}`,
+        timeout: this.timeoutMs
+      }, (res) => {
+        let data = '';
+
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          let parsed = null;
+          try {
+            parsed = data ? JSON.parse(data) : null;
+          } catch (err) {
+            return reject(new Error(`Failed to parse Docker response from ${daemon.host}: ${data}`));
+          }
+
+          if (res.statusCode >= 200 && res.statusCode < 300 || res.statusCode === 304) {
+            resolve(parsed);
+          } else {
+            reject(new HttpError(res.statusCode === 404 || res.statusCode === 409 ? res.statusCode : 502,
+              `Docker API error on ${daemon.host}: ${res.statusCode} ${parsed?.message || data}`));
+          }
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`Docker daemon ${daemon.host} timed out`)));
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  /**
+   * A fractal's containers on every daemon, newest first. Daemons that can't
+   * be reached are listed in `errors` instead of failing the whole search.
+   */
+  async findContainers(agentId) {
+    const prefix = `${this.containerPrefix}${agentId}-`;
+    const filters = encodeURIComponent(JSON.stringify({ name: [prefix] }));
+
+    // "mox-" also prefixes the containers of a fractal named "mox-helper"
+    const longer = this.registry.list()
+      .map(f => `${this.containerPrefix}${f.agentId}-`)
+      .filter(other => other.length > prefix.length && other.startsWith(prefix));
+
+    const containers = [];
+    const errors = [];
+    await Promise.all(this.daemons.map(async daemon => {
+      try {
+        const rows = await this.request(daemon, 'GET', `/containers/json?all=1&filters=${filters}`);
+        for (const row of rows) {
+          const name = (row.Names || []).map(n => n.replace(/^\//, '')).find(n => n.startsWith(prefix));
+          if (name && !longer.some(other => name.startsWith(other))) {
+            containers.push(summarize(row, name, daemon));
+          }
+        }
+      } catch (err) {
+        errors.push({ daemon: daemon.host, error: err.message });
+      }
+    }));
+
+    containers.sort((a, b) => b.created.localeCompare(a.created));
+    return { containers, errors };
+  }
+
+  /**
+   * One of a fractal's containers by (a prefix of) its ID, or an HttpError 404
+   */
+  async findContainer(agentId, containerId) {
+    const { containers, errors } = await this.findContainers(agentId);
+    const matches = containers.filter(c => c.id.startsWith(containerId));
+
+    if (matches.length > 1) {
+      throw new HttpError(409, `Container ID '${containerId}' is ambiguous`, matches.map(c => `${c.id} on ${c.daemon}`));
+    }
+    if (matches.length === 0) {
+      throw new HttpError(404, `Container '${containerId}' not found for '${agentId}'`, errors.length > 0 ? errors : null);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Full `docker inspect` of a fractal's container, with its daemon
+   */
+  async inspect(agentId, containerId) {
+    const container = await this.findContainer(agentId, containerId);
+    const details = await this.request(this.daemon(container.daemon), 'GET', `/containers/${container.id}/json`);
+    return { ...container, details };
+  }
+
+  async restart(agentId, containerId, timeout = this.stopTimeoutSeconds) {
+    const container = await this.findContainer(agentId, containerId);
+    await this.request(this.daemon(container.daemon), 'POST', `/containers/${container.id}/restart?t=${timeout}`);
+    return container;
+  }
+
+  async stop(agentId, containerId, timeout = this.stopTimeoutSeconds) {
+    const container = await this.findContainer(agentId, containerId);
+    await this.request(this.daemon(container.daemon), 'POST', `/containers/${container.id}/stop?t=${timeout}`);
+    return container;
+  }
+
+  /**
+   * Remove a container; a running one only with force (OpenClaw recreates it on the next run)
+   */
+  async remove(agentId, containerId, force = false) {
+    const container = await this.findContainer(agentId, containerId);
+    await this.request(this.daemon(container.daemon), 'DELETE', `/containers/${container.id}?force=${force}`);
+    return container;
+  }
+
+  daemon(host) {
+    return this.daemons.find(daemon => daemon.host === host);
+  }
+}
+
+/**
+ * The local socket, plus DOCKER_HOST when it points elsewhere
+ */
+function defaultHosts() {
+  return ['unix:///var/run/docker.sock', ...(process.env.DOCKER_HOST ? [process.env.DOCKER_HOST] : [])];
+}
+
+/**
+ * unix:///path or tcp://host:port as http.request options
+ */
+function parseHost(host) {
+  if (host.startsWith('unix://')) {
+    return { host, options: { socketPath: host.slice('unix://'.length) } };
+  }
+  const match = host.match(/^(?:tcp|http):\/\/([^:/]+)(?::(\d+))?\/?$/);
+  if (!match) {
+    throw new Error(`Invalid docker host '${host}' (expected unix:///path or tcp://host:port)`);
+  }
+  return { host, options: { host: match[1], port: Number(match[2] || 2375) } };
+}
+
+function summarize(row, name, daemon) {
+  return {
+    id: row.Id,
+    name,
+    image: row.Image,
+    state: row.State,
+    status: row.Status,
+    created: new Date(row.Created * 1000).toISOString(),
+    daemon: daemon.host
+  };
+}
+
+module.exports = DockerClient;
@@ -0,0 +1,153 @@
+/**
+ * Fractal Hierarchy
+ * Parent/child relations between fractals, read from the registry's parentId fields.
+ * Fractals without a parentId (or whose parent is gone) are roots at depth 0.
+ */
+
+class FractalHierarchy {
+  constructor(config = {}, registry) {
+    this.registry = registry;
+    this.maxDepth = config.maxDepth !== undefined ? config.maxDepth : 3;
+    this.maxChildren = config.maxChildren !== undefined ? config.maxChildren : 3;
+  }
+
+  children(agentId) {
+    return this.registry.list().filter(f => f.parentId === agentId);
+  }
+
+  /**
+   * Every descendant, deepest first (the order they can be deleted in)
+   */
+  descendants(agentId) {
+    const levels = [];
+    let level = this.children(agentId);
+    const seen = new Set([agentId]);
+
+    while (level.length > 0) {
+      level = level.filter(f => !seen.has(f.agentId));
+      level.forEach(f => seen.add(f.agentId));
+      levels.push(level);
+      level = level.flatMap(f => this.children(f.agentId));
+    }
+
+    return levels.reverse().flat();
+  }
+
+  /**
+   * Agent IDs from the parent up to the root
+   */
+  ancestors(agentId) {
+    const chain = [];
+    let current = this.registry.get(agentId);
+
+    while (current?.parentId && !chain.includes(current.parentId)) {
+      const parent = this.registry.get(current.parentId);
+      if (!parent) break;
+      chain.push(parent.agentId);
+      current = parent;
+    }
+
+    return chain;
+  }
+
+  depth(agentId) {
+    return this.ancestors(agentId).length;
+  }
+
+  /**
+   * Whether agentId is rootId or one of its descendants
+   */
+  inSubtree(rootId, agentId) {
+    return agentId === rootId || this.ancestors(agentId).includes(rootId);
+  }
+
+  /**
+   * How many children a fractal may have (its own maxChildren, else the default)
+   */
+  childLimit(fractal) {
+    return fractal.maxChildren !== undefined ? fractal.maxChildren : this.maxChildren;
+  }
+
+  /**
+   * Why a child can't be placed under parentId (missing parent or too deep), or null
+   */
+  depthProblem(parentId) {
+    if (!this.registry.get(parentId)) {
+      return `parent '${parentId}' not found`;
+    }
+
+    const depth = this.depth(parentId) + 1;
+    if (depth > this.maxDepth) {
+      return `a child of '${parentId}' would be at depth ${depth}, maximum is ${this.maxDepth}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Why parentId can't take `count` more children, or null.
+   * `pending` counts children still being created under it.
+   */
+  quotaProblem(parentId, count = 1, pending = 0) {
+    const parent = this.registry.get(parentId);
+    const existing = this.children(parentId).length;
+    const limit = this.childLimit(parent);
+
+    if (existing + pending + count > limit) {
+      const creating = pending > 0 ? ` (+${pending} being created)` : '';
+      return `'${parentId}' has ${existing} of ${limit} children${creating}, cannot add ${count}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Why a fractal's children can't move up to its parent when it is deleted, or null.
+   * The deleted fractal frees its own slot there; roots have no quota.
+   * Children in `deleted` (deleted alongside it) don't move.
+   */
+  reparentProblem(agentId, pending = 0, deleted = new Set()) {
+    const parentId = this.registry.get(agentId)?.parentId;
+    const moving = this.children(agentId).filter(child => !deleted.has(child.agentId)).length;
+    if (!parentId || moving <= 1) return null;
+
+    return this.quotaProblem(parentId, moving - 1, pending);
+  }
+
+  /**
+   * Move a fractal's children to its own parent (or make them roots).
+   * Returns the moved agent IDs.
+   */
+  async reparentChildren(agentId) {
+    const fractal = this.registry.get(agentId);
+    const newParentId = fractal?.parentId || null;
+    const moved = this.children(agentId).map(child => child.agentId);
+
+    for (const childId of moved) {
+      await this.registry.update(childId, { parentId: newParentId });
+    }
+
+    return moved;
+  }
+
+  /**
+   * Nested view of a subtree
+   */
+  tree(agentId, depth = this.depth(agentId), seen = new Set()) {
+    const fractal = this.registry.get(agentId);
+    seen.add(agentId);
+
+    const children = this.children(agentId).filter(child => !seen.has(child.agentId));
+    return {
+      agentId,
+      name: fractal.name,
+      status: fractal.status,
+      depth,
+      maxChildren: this.childLimit(fractal),
+      childCount: children.length,
+      children: children.map(child => this.tree(child.agentId, depth + 1, seen))
+    };
+  }
+}
+
+module.exports = FractalHierarchy;
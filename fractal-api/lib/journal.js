@@ -0,0 +1,192 @@
+/**
+ * Operation Journal
+ * Durable record of multi-step operations so a crash mid-way can be
+ * finished or rolled back on the next startup
+ */
+
+const { readFileSync, writeFileSync, renameSync, existsSync } = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const Metrics = require('./metrics');
+const { logger } = require('./utils');
+
+/**
+ * Emits 'finish' (op) when an operation reaches a final status
+ */
+class OperationJournal extends EventEmitter {
+  constructor(dataFile, retentionDays = 14, metrics = new Metrics()) {
+    super();
+    this.dataFile = dataFile;
+    this.retentionDays = retentionDays;
+    this.operations = this.load();
+
+    this.finished = metrics.counter(
+      'fractal_operations_total',
+      'Finished operations by type (create, delete, batch) and outcome',
+      ['type', 'outcome']
+    );
+    this.duration = metrics.histogram(
+      'fractal_operation_duration_seconds',
+      'Operation duration by type and outcome (operations finished by startup recovery excluded)',
+      ['type', 'outcome']
+    );
+    this.rollbacks = metrics.counter(
+      'fractal_rollbacks_total',
+      'Completed rollbacks by operation type and the step that failed',
+      ['type', 'step']
+    );
+  }
+
+  /**
+   * Load journal from disk, dropping finished operations past retention
+   */
+  load() {
+    if (!existsSync(this.dataFile)) {
+      logger.info(`Journal file not found, creating: ${this.dataFile}`);
+      return [];
+    }
+
+    try {
+      const operations = JSON.parse(readFileSync(this.dataFile, 'utf8'));
+      const cutoff = Date.now() - this.retentionDays * 24 * 3600 * 1000;
+      const kept = operations.filter(
+        op => op.status === 'in_progress' || new Date(op.finishedAt).getTime() >= cutoff
+      );
+      logger.info(`Loaded ${kept.length} journal entries (${operations.length - kept.length} pruned)`);
+      return kept;
+    } catch (err) {
+      // Kept aside for inspection; recovery can't see its operations, GET /reconcile shows what they left
+      const backup = `${this.dataFile}.corrupt-${Date.now()}`;
+      logger.error(`Failed to load journal, moved to ${backup} and starting empty: ${err.message}`);
+      try {
+        renameSync(this.dataFile, backup);
+      } catch (renameErr) {
+        logger.error(`Failed to move corrupt journal aside: ${renameErr.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Save journal to disk (write temp file, then rename over the original)
+   */
+  save() {
+    const tmpFile = `${this.dataFile}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify(this.operations, null, 2), 'utf8');
+    renameSync(tmpFile, this.dataFile);
+  }
+
+  /**
+   * Start a new operation, optionally as part of a parent (batch) operation
+   */
+  start(type, agentId, params = {}, parentId = null) {
+    const op = {
+      id: `op-${crypto.randomBytes(6).toString('hex')}`,
+      type,
+      agentId,
+      params,
+      status: 'in_progress',
+      steps: [],
+      startedAt: new Date().toISOString()
+    };
+    if (parentId) op.parentId = parentId;
+
+    this.operations.push(op);
+    this.save();
+
+    return op;
+  }
+
+  /**
+   * Record that a step is about to run (before any side effect),
+   * with any data needed to undo it
+   */
+  beginStep(op, name, data = null) {
+    const step = { name, status: 'started', startedAt: new Date().toISOString() };
+    if (data) step.data = data;
+    op.steps.push(step);
+    this.save();
+  }
+
+  /**
+   * Record that a step finished, with any data needed to undo it
+   */
+  completeStep(op, name, data = null) {
+    const step = this.getStep(op, name);
+    step.status = 'done';
+    step.finishedAt = new Date().toISOString();
+    if (data) step.data = { ...step.data, ...data };
+    this.save();
+  }
+
+  /**
+   * Mark an operation finished (completed, rolled_back or failed)
+   */
+  finish(op, status, details = {}) {
+    op.status = status;
+    op.finishedAt = new Date().toISOString();
+    Object.assign(op, details);
+    this.save();
+    this.record(op);
+    this.emit('finish', op);
+  }
+
+  /**
+   * Count a finished operation. Batch items roll back with their batch,
+   * so only the batch's rollback is counted.
+   */
+  record(op) {
+    const labels = { type: op.type, outcome: op.status };
+    this.finished.inc(labels);
+
+    // Recovered operations span the downtime, which would skew durations
+    if (!op.recovered) {
+      this.duration.observe(labels, (Date.parse(op.finishedAt) - Date.parse(op.startedAt)) / 1000);
+    }
+
+    if (op.status === 'rolled_back' && !op.parentId) {
+      this.rollbacks.inc({ type: op.type, step: this.failedStep(op) });
+    }
+  }
+
+  /**
+   * The step an operation was on when it failed ('preflight' if none had started)
+   */
+  failedStep(op) {
+    const steps = op.steps.filter(s => s.name !== 'rollback');
+    return steps[steps.length - 1]?.name || 'preflight';
+  }
+
+  getStep(op, name) {
+    return op.steps.find(s => s.name === name);
+  }
+
+  /**
+   * Whether a step was at least attempted
+   */
+  stepStarted(op, name) {
+    return Boolean(this.getStep(op, name));
+  }
+
+  stepDone(op, name) {
+    return this.getStep(op, name)?.status === 'done';
+  }
+
+  get(id) {
+    return this.operations.find(op => op.id === id);
+  }
+
+  list(status = null) {
+    return this.operations.filter(op => !status || op.status === status);
+  }
+
+  incomplete() {
+    return this.list('in_progress');
+  }
+
+  children(parentId) {
+    return this.operations.filter(op => op.parentId === parentId);
+  }
+}
+
+module.exports = OperationJournal;
@@ -0,0 +1,158 @@
+/**
+ * File Lock
+ * Serializes mutations within this process (promise queue) and across
+ * processes (exclusive lock file). Not reentrant.
+ */
+
+const { openSync, writeSync, closeSync, readFileSync, unlinkSync, statSync } = require('fs');
+const os = require('os');
+const { logger } = require('./utils');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Lock files held by this process, across all FileLock instances
+const heldFiles = new Set();
+
+class FileLock {
+  constructor(lockFile, options = {}) {
+    this.lockFile = lockFile;
+    this.staleMs = options.staleMs || 10 * 60 * 1000;
+    this.timeoutMs = options.timeoutMs || 60 * 1000;
+    this.retryMs = options.retryMs || 100;
+    this.queue = Promise.resolve();
+    this.held = false;
+  }
+
+  /**
+   * Run an async function while holding the lock
+   */
+  run(fn, owner = 'mutation') {
+    const result = this.queue.then(async () => {
+      await this.acquire(owner);
+      try {
+        return await fn();
+      } finally {
+        this.release();
+      }
+    });
+
+    // Keep the queue alive regardless of this caller's outcome
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Wait for the lock file, up to timeoutMs
+   */
+  async acquire(owner) {
+    const deadline = Date.now() + this.timeoutMs;
+
+    while (!this.tryAcquire(owner)) {
+      if (Date.now() >= deadline) {
+        throw this.timeoutError();
+      }
+      await sleep(this.retryMs);
+    }
+  }
+
+  /**
+   * Try once to take the lock file. Returns false if another holder has it.
+   */
+  tryAcquire(owner) {
+    if (this.held) return false;
+
+    try {
+      const fd = openSync(this.lockFile, 'wx');
+      writeSync(fd, JSON.stringify({
+        pid: process.pid,
+        host: os.hostname(),
+        owner,
+        acquiredAt: new Date().toISOString()
+      }));
+      closeSync(fd);
+      this.held = true;
+      heldFiles.add(this.lockFile);
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    if (this.isStale()) {
+      logger.warn(`Removing stale lock ${this.lockFile} (held by ${JSON.stringify(this.holder())})`);
+      try {
+        unlinkSync(this.lockFile);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      return this.tryAcquire(owner);
+    }
+
+    return false;
+  }
+
+  release() {
+    if (!this.held) return;
+
+    this.held = false;
+    heldFiles.delete(this.lockFile);
+    try {
+      unlinkSync(this.lockFile);
+    } catch (err) {
+      logger.warn(`Failed to remove lock ${this.lockFile}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Current holder as written in the lock file, or null
+   */
+  holder() {
+    try {
+      return JSON.parse(readFileSync(this.lockFile, 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * A lock is stale if its process is gone (same host) or it is older than staleMs
+   */
+  isStale() {
+    const holder = this.holder();
+
+    // Unreadable or half-written: only trust the file's age
+    if (!holder) {
+      try {
+        return Date.now() - statSync(this.lockFile).mtimeMs > this.staleMs;
+      } catch (err) {
+        return err.code === 'ENOENT';
+      }
+    }
+
+    if (Date.now() - new Date(holder.acquiredAt).getTime() > this.staleMs) {
+      return true;
+    }
+
+    if (holder.host === os.hostname()) {
+      if (holder.pid === process.pid) {
+        return !heldFiles.has(this.lockFile);
+      }
+      try {
+        process.kill(holder.pid, 0);
+      } catch (err) {
+        return err.code === 'ESRCH';
+      }
+    }
+
+    return false;
+  }
+
+  timeoutError() {
+    const holder = this.holder();
+    return new Error(
+      `Timed out after ${this.timeoutMs}ms waiting for ${this.lockFile}` +
+      (holder ? ` (held by pid ${holder.pid} for ${holder.owner})` : '')
+    );
+  }
+}
+
+module.exports = FileLock;
@@ -5,26 +5,43 @@
 
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
+const Metrics = require('./metrics');
 const { logger } = require('./utils');
 
 class MatrixClient {
-  constructor(config) {
+  constructor(config, metrics = new Metrics()) {
     this.baseUrl = config.baseUrl || 'http://localhost:8008';
     this.botToken = config.botToken;
     this.adminToken = config.adminToken;
     this.homeserver = config.homeserver || 'your-homeserver.example.com';
     this.botUserId = config.botUserId || `@yourbot:${this.homeserver}`;
+
+    this.requests = metrics.counter(
+      'fractal_matrix_api_requests_total',
+      'Matrix API requests by endpoint',
+      ['method', 'endpoint']
+    );
+    this.errors = metrics.counter(
+      'fractal_matrix_api_errors_total',
+      'Matrix API errors by endpoint and status (HTTP code, network or parse)',
+      ['method', 'endpoint', 'status']
+    );
   }
 
   /**
    * Make HTTP request to Matrix API
    */
   async request(method, path, body, token) {
+    const labels = { method, endpoint: endpointLabel(path) };
+    this.requests.inc(labels);
+
     return new Promise((resolve, reject) => {
       const url = new URL(path, this.baseUrl);
       const isHttps = url.protocol === 'https:';
       const client = isHttps ? https : http;
 
+      const payload = body ? JSON.stringify(body) : null;
       const options = {
         method,
         headers: {
@@ -33,6 +50,11 @@ class MatrixClient {
         }
       };
 
+      // DELETE bodies are not chunked by default, so length must be explicit
+      if (payload) {
+        options.headers['Content-Length'] = Buffer.byteLength(payload);
+      }
+
       const req = client.request(url, options, (res) => {
         let data = '';
 
@@ -44,18 +66,23 @@ class MatrixClient {
             if (res.statusCode >= 200 && res.statusCode < 300) {
               resolve(parsed);
             } else {
+              this.errors.inc({ ...labels, status: res.statusCode });
               reject(new Error(`Matrix API error: ${res.statusCode} ${parsed.error || data}`));
             }
           } catch (err) {
+            this.errors.inc({ ...labels, status: 'parse' });
             reject(new Error(`Failed to parse Matrix response: ${data}`));
           }
         });
       });
 
-      req.on('error', reject);
+      req.on('error', err => {
+        this.errors.inc({ ...labels, status: 'network' });
+        reject(err);
+      });
 
-      if (body) {
-        req.write(JSON.stringify(body));
+      if (payload) {
+        req.write(payload);
       }
 
       req.end();
@@ -84,6 +111,22 @@ class MatrixClient {
     return result.room_id;
   }
 
+  /**
+   * Join an existing room (the bot must be invited, or the room public); returns its room ID
+   */
+  async joinRoom(roomIdOrAlias) {
+    logger.info(`Joining room: ${roomIdOrAlias}`);
+
+    const result = await this.request(
+      'POST',
+      `/_matrix/client/v3/join/${encodeURIComponent(roomIdOrAlias)}`,
+      {},
+      this.botToken
+    );
+
+    return result.room_id;
+  }
+
   /**
    * Invite a user to a room
    */
@@ -99,9 +142,9 @@ class MatrixClient {
   }
 
   /**
-   * Get room member count
+   * Get joined member user IDs
    */
-  async getRoomMemberCount(roomId) {
+  async getJoinedMembers(roomId) {
     const result = await this.request(
       'GET',
       `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/joined_members`,
@@ -109,7 +152,133 @@ class MatrixClient {
       this.botToken
     );
 
-    return Object.keys(result.joined || {}).length;
+    return Object.keys(result.joined || {});
+  }
+
+  /**
+   * Get room member count
+   */
+  async getRoomMemberCount(roomId) {
+    const members = await this.getJoinedMembers(roomId);
+    return members.length;
+  }
+
+  /**
+   * Kick a user from a room with a reason
+   */
+  async kickUser(roomId, userId, reason) {
+    logger.info(`Kicking ${userId} from ${roomId}`);
+
+    await this.request(
+      'POST',
+      `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/kick`,
+      { user_id: userId, reason },
+      this.botToken
+    );
+  }
+
+  /**
+   * Delete a room via the Synapse admin API
+   *
+   * Options:
+   *   farewellMessage - posted to the room (and used as kick reason) before deletion
+   *   kickMembers     - kick members individually first so they see the farewell
+   *   purge           - purge room history from the database
+   *   block           - block the room ID from being joined again
+   *   waitForCompletion, pollIntervalMs, timeoutMs - poll the async delete status
+   */
+  async deleteRoom(roomId, options = {}) {
+    const {
+      farewellMessage = null,
+      kickMembers = false,
+      purge = true,
+      block = false,
+      waitForCompletion = true,
+      pollIntervalMs = 2000,
+      timeoutMs = 60000
+    } = options;
+
+    if (!this.adminToken) {
+      throw new Error('matrix.adminToken is required for room deletion');
+    }
+
+    logger.info(`Deleting room ${roomId} (purge: ${purge}, block: ${block})`);
+
+    if (farewellMessage) {
+      try {
+        await this.sendMessage(roomId, farewellMessage);
+      } catch (err) {
+        logger.warn(`Failed to post farewell message in ${roomId}: ${err.message}`);
+      }
+    }
+
+    const kicked = [];
+    if (kickMembers) {
+      const members = await this.getJoinedMembers(roomId);
+      for (const userId of members.filter(m => m !== this.botUserId)) {
+        try {
+          await this.kickUser(roomId, userId, farewellMessage || 'Room closed');
+          kicked.push(userId);
+        } catch (err) {
+          logger.warn(`Failed to kick ${userId} from ${roomId}: ${err.message}`);
+        }
+      }
+    }
+
+    const { delete_id: deleteId } = await this.request(
+      'DELETE',
+      `/_synapse/admin/v2/rooms/${encodeURIComponent(roomId)}`,
+      { block, purge },
+      this.adminToken
+    );
+
+    logger.info(`Room deletion started: ${deleteId}`);
+
+    if (!waitForCompletion) {
+      return { deleteId, status: 'started', kicked };
+    }
+
+    const status = await this.waitForRoomDeletion(deleteId, pollIntervalMs, timeoutMs);
+    return { deleteId, ...status, kicked };
+  }
+
+  /**
+   * Get the status of an async room deletion
+   */
+  async getRoomDeleteStatus(deleteId) {
+    return this.request(
+      'GET',
+      `/_synapse/admin/v2/rooms/delete_status/${encodeURIComponent(deleteId)}`,
+      null,
+      this.adminToken
+    );
+  }
+
+  /**
+   * Poll delete status until complete, failed or timed out
+   */
+  async waitForRoomDeletion(deleteId, pollIntervalMs, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const result = await this.getRoomDeleteStatus(deleteId);
+
+      if (result.status === 'complete') {
+        logger.info(`Room deletion complete: ${deleteId}`);
+        return { status: 'complete', shutdownRoom: result.shutdown_room };
+      }
+
+      if (result.status === 'failed') {
+        throw new Error(`Room deletion ${deleteId} failed: ${result.error || 'unknown error'}`);
+      }
+
+      if (Date.now() >= deadline) {
+        logger.warn(`Room deletion ${deleteId} still ${result.status} after ${timeoutMs}ms`);
+        return { status: result.status, timedOut: true };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
   }
 
   /**
@@ -130,6 +299,68 @@ class MatrixClient {
     }
   }
 
+  /**
+   * Send a message to a room (plain body plus optional HTML)
+   */
+  async sendMessage(roomId, body, formattedBody = null, replyToEventId = null) {
+    const content = {
+      msgtype: 'm.text',
+      body
+    };
+
+    if (formattedBody) {
+      content.format = 'org.matrix.custom.html';
+      content.formatted_body = formattedBody;
+    }
+
+    if (replyToEventId) {
+      content['m.relates_to'] = {
+        'm.in_reply_to': { event_id: replyToEventId }
+      };
+    }
+
+    const txnId = `fractal-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const result = await this.request(
+      'PUT',
+      `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${txnId}`,
+      content,
+      this.botToken
+    );
+
+    return result.event_id;
+  }
+
+  /**
+   * Get the most recent events in a room, newest first
+   */
+  async getRecentEvents(roomId, limit = 50) {
+    const result = await this.request(
+      'GET',
+      `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/messages?dir=b&limit=${limit}`,
+      null,
+      this.botToken
+    );
+
+    return result.chunk || [];
+  }
+
+  /**
+   * One page of a room's timeline from a pagination token (the room's end when
+   * `from` is null). Resolves with `{ chunk, start, end }`; `end` is missing once
+   * there is nothing further in direction `dir`.
+   */
+  async getRoomMessages(roomId, { from = null, dir = 'b', limit = 100 } = {}) {
+    const query = new URLSearchParams({ dir, limit: String(limit), ...(from && { from }) });
+    const result = await this.request(
+      'GET',
+      `/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/messages?${query}`,
+      null,
+      this.botToken
+    );
+
+    return { chunk: result.chunk || [], start: result.start, end: result.end };
+  }
+
   /**
    * Set bot display name in a room
    */
@@ -148,4 +379,17 @@ class MatrixClient {
   }
 }
 
+/**
+ * Endpoint label for metrics: the path with room IDs, user IDs and
+ * transaction IDs replaced by placeholders, so label cardinality stays fixed
+ */
+function endpointLabel(path) {
+  return path.split('?')[0]
+    .replace(/\/delete_status\/[^/]+/, '/delete_status/{deleteId}')
+    .replace(/\/join\/[^/]+$/, '/join/{roomId}')
+    .replace(/\/rooms\/(?!delete_status\/)[^/]+/, '/rooms/{roomId}')
+    .replace(/\/send\/([^/]+)\/[^/]+$/, '/send/$1/{txnId}')
+    .replace(/\/state\/([^/]+)\/[^/]+$/, '/state/$1/{stateKey}');
+}
+
 module.exports = MatrixClient;
@@ -0,0 +1,187 @@
+/**
+ * Prometheus Metrics
+ * In-process counters, gauges and histograms rendered in the text exposition format
+ */
+
+// Seconds; covers config.get (~100ms) up to slow gateway restarts and room purges
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Series for a label set, created on first use
+   */
+  get(labels = {}) {
+    const key = this.labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: this.labelNames.map(name => String(labels[name] ?? '')), ...this.initial() });
+    }
+    return this.series.get(key);
+  }
+
+  initial() {
+    return { value: 0 };
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Render `name{a="x",b="y"}` (extra labels such as `le` go last)
+   */
+  sample(name, labels, extra = {}) {
+    const pairs = labels.map((value, i) => [this.labelNames[i], value]).concat(Object.entries(extra));
+    if (pairs.length === 0) return name;
+    return `${name}{${pairs.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(`${this.sample(this.name, series.labels)} ${formatValue(series.value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.get(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.get(labels).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  initial() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, seconds) {
+    const series = this.get(labels);
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) series.counts[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  /**
+   * Start timing; the returned function observes the elapsed seconds
+   * with the start labels plus any labels known only at the end (e.g. outcome)
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.sample(`${this.name}_bucket`, series.labels, { le: String(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.sample(`${this.name}_bucket`, series.labels, { le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.sample(`${this.name}_sum`, series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.sample(`${this.name}_count`, series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class Metrics {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  /**
+   * Register a metric, or return the existing one of the same name
+   */
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      if (existing.type !== metric.type) {
+        throw new Error(`Metric '${metric.name}' already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Run `fn` before every render, to set gauges read from current state
+   */
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  /**
+   * Text exposition format (version 0.0.4)
+   */
+  render() {
+    for (const fn of this.collectors) fn();
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+Metrics.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = Metrics;
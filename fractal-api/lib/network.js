@@ -0,0 +1,316 @@
+/**
+ * Network Policies
+ * Per-fractal Docker networks with DOCKER-USER iptables rules, by named profile:
+ *
+ *   internet-no-lan  internet access, LAN/localhost/Tailscale ranges dropped
+ *   offline          internal network, no traffic leaves the bridge
+ *   allowlist        only the listed CIDRs and domains (resolved to IPs)
+ *
+ * Each fractal gets its own bridge (fr-<hash>) so rules can match on the
+ * interface, and every rule carries the comment fractal:<agentId> so it can
+ * be found and removed again.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const dns = require('dns').promises;
+const net = require('net');
+const crypto = require('crypto');
+const { logger } = require('./utils');
+
+const execFileAsync = promisify(execFile);
+
+// Same ranges as scripts/mox-network-firewall.sh
+const LAN_CIDRS = ['192.168.0.0/16', '10.0.0.0/8', '172.16.0.0/12', '127.0.0.0/8', '100.64.0.0/10'];
+
+const MODES = ['internet', 'offline', 'allowlist'];
+
+const BUILTIN_PROFILES = {
+  'internet-no-lan': { mode: 'internet', block: LAN_CIDRS, description: 'Internet access, no LAN, localhost or Tailscale' },
+  offline: { mode: 'offline', description: 'No network access' },
+  allowlist: { mode: 'allowlist', allow: [], description: 'Only the listed CIDRs and domains' }
+};
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+class NetworkManager {
+  constructor(config = {}) {
+    this.prefix = config.networkPrefix || 'fractal-';
+    this.chain = config.chain || 'DOCKER-USER';
+    this.dockerCommand = (config.dockerCommand || 'docker').split(' ');
+    this.iptablesCommand = (config.iptablesCommand || 'iptables').split(' ');
+    this.defaultProfile = config.defaultProfile || null;
+    this.profiles = { ...BUILTIN_PROFILES, ...config.profiles };
+
+    for (const [name, profile] of Object.entries(this.profiles)) {
+      const problems = this.entryProblems([...(profile.allow || []), ...(profile.block || [])]);
+      if (!MODES.includes(profile.mode) || problems.length > 0) {
+        throw new Error(`Invalid network profile '${name}': ${problems.join('; ') || `mode must be one of ${MODES.join(', ')}`}`);
+      }
+    }
+  }
+
+  /**
+   * Configured profiles, for GET /network/profiles
+   */
+  listProfiles() {
+    return Object.entries(this.profiles).map(([name, profile]) => ({
+      name,
+      mode: profile.mode,
+      description: profile.description || '',
+      allow: profile.allow || [],
+      block: profile.block || [],
+      default: name === this.defaultProfile
+    }));
+  }
+
+  /**
+   * Problems with a create request's `network`: a profile name, or { profile, allow }
+   * (a resolved policy, as held by a pending proposal, passes too)
+   */
+  validate(spec) {
+    if (spec === undefined || spec === null) return [];
+
+    const { profile, allow } = typeof spec === 'string' ? { profile: spec } : spec;
+    if (typeof spec !== 'string' && (typeof spec !== 'object' || Array.isArray(spec))) {
+      return ['network must be a profile name or { "profile": ..., "allow": [...] }'];
+    }
+    if (!this.profiles[profile]) {
+      return [`network profile '${profile}' not found (use ${Object.keys(this.profiles).join(', ')})`];
+    }
+    if (allow === undefined) return [];
+
+    if (!Array.isArray(allow)) return ['network.allow must be an array of CIDRs or domains'];
+    if (allow.length > 0 && this.profiles[profile].mode !== 'allowlist') {
+      return [`network.allow only applies to allowlist profiles, '${profile}' is ${this.profiles[profile].mode}`];
+    }
+    return this.entryProblems(allow).map(problem => `network.allow: ${problem}`);
+  }
+
+  entryProblems(entries) {
+    return entries
+      .filter(entry => typeof entry !== 'string' || (!isCidr(entry) && !DOMAIN_PATTERN.test(entry)))
+      .map(entry => `'${entry}' is not an IPv4 address, CIDR or domain`);
+  }
+
+  /**
+   * Policy for a validated spec (default profile if none; null: shared sandbox network).
+   * Domains are resolved to IPv4 addresses now; POST /fractal/:id/network/refresh re-resolves them.
+   */
+  async resolve(spec) {
+    if (spec === undefined || spec === null) spec = this.defaultProfile;
+    if (!spec) return null;
+
+    const { profile: name, allow = [] } = typeof spec === 'string' ? { profile: spec } : spec;
+    const profile = this.profiles[name];
+    const policy = {
+      profile: name,
+      mode: profile.mode,
+      allow: [...new Set([...(profile.allow || []), ...allow])],
+      block: profile.block || []
+    };
+
+    policy.resolved = {};
+    for (const domain of policy.allow.filter(entry => !isCidr(entry))) {
+      try {
+        policy.resolved[domain] = (await dns.resolve4(domain)).map(ip => `${ip}/32`);
+      } catch (err) {
+        throw new Error(`Could not resolve allowlisted domain '${domain}': ${err.code || err.message}`);
+      }
+    }
+    policy.resolvedAt = new Date().toISOString();
+
+    return policy;
+  }
+
+  networkName(agentId) {
+    return `${this.prefix}${agentId}`;
+  }
+
+  /**
+   * Bridge interface name (at most 15 characters)
+   */
+  bridgeName(agentId) {
+    return `fr-${crypto.createHash('sha256').update(agentId).digest('hex').slice(0, 12)}`;
+  }
+
+  /**
+   * DOCKER-USER rules for a policy, in chain order (iptables arguments after the chain name).
+   * Arguments are in the order `iptables -S` prints them, so live rules compare equal.
+   */
+  rules(agentId, policy) {
+    const match = (cidr = null) => [
+      ...(cidr ? ['-d', withPrefix(cidr)] : []),
+      '-i', this.bridgeName(agentId),
+      '-m', 'comment', '--comment', `fractal:${agentId}`
+    ];
+    const established = [...match(), '-m', 'conntrack', '--ctstate', 'RELATED,ESTABLISHED', '-j', 'RETURN'];
+
+    if (policy.mode === 'offline') {
+      return [[...match(), '-j', 'DROP']];
+    }
+
+    if (policy.mode === 'allowlist') {
+      const cidrs = policy.allow.flatMap(entry => isCidr(entry) ? [withPrefix(entry)] : policy.resolved[entry] || []);
+      return [
+        established,
+        ...[...new Set(cidrs)].map(cidr => [...match(cidr), '-j', 'RETURN']),
+        [...match(), '-j', 'DROP']
+      ];
+    }
+
+    return [established, ...policy.block.map(cidr => [...match(cidr), '-j', 'DROP'])];
+  }
+
+  /**
+   * Create the fractal's Docker network (if missing) and apply its rules
+   */
+  async create(agentId, policy) {
+    const name = this.networkName(agentId);
+
+    if (await this.inspectNetwork(name)) {
+      logger.info(`Docker network ${name} already exists`);
+    } else {
+      await this.docker([
+        'network', 'create',
+        '--driver', 'bridge',
+        ...(policy.mode === 'offline' ? ['--internal'] : []),
+        '--label', `fractal.agentId=${agentId}`,
+        '--label', `fractal.profile=${policy.profile}`,
+        '-o', `com.docker.network.bridge.name=${this.bridgeName(agentId)}`,
+        name
+      ]);
+      logger.info(`Docker network ${name} created (${policy.profile})`);
+    }
+
+    await this.applyRules(agentId, policy);
+    return { network: name, bridge: this.bridgeName(agentId) };
+  }
+
+  /**
+   * Replace the fractal's DOCKER-USER rules with the policy's
+   */
+  async applyRules(agentId, policy) {
+    await this.removeRules(agentId);
+
+    // Insert at the top in reverse, so the chain ends up in rules() order
+    const rules = this.rules(agentId, policy);
+    for (const rule of [...rules].reverse()) {
+      await this.iptables(['-I', this.chain, '1', ...rule]);
+    }
+    logger.info(`Applied ${rules.length} ${this.chain} rule(s) for ${agentId} (${policy.profile})`);
+  }
+
+  /**
+   * Remove the fractal's rules and Docker network. Safe to run more than once.
+   */
+  async teardown(agentId) {
+    const name = this.networkName(agentId);
+    const removed = await this.removeRules(agentId);
+
+    const network = await this.inspectNetwork(name);
+    if (network) {
+      // Sandbox containers may outlive the agent entry; detach them so the network can go
+      for (const containerId of Object.keys(network.Containers || {})) {
+        await this.docker(['network', 'disconnect', '-f', name, containerId]);
+      }
+      await this.docker(['network', 'rm', name]);
+      logger.info(`Docker network ${name} removed`);
+    }
+
+    return { rulesRemoved: removed, networkRemoved: Boolean(network) };
+  }
+
+  /**
+   * Delete every rule tagged with the fractal's comment; returns how many
+   */
+  async removeRules(agentId) {
+    const present = await this.presentRules(agentId);
+    for (const rule of present) {
+      await this.iptables(['-D', this.chain, ...rule]);
+    }
+    return present.length;
+  }
+
+  /**
+   * The fractal's rules currently in the chain (iptables arguments after the chain name)
+   */
+  async presentRules(agentId) {
+    const { stdout } = await this.iptables(['-S', this.chain]);
+    const tag = `fractal:${agentId}`;
+
+    return stdout.split('\n')
+      .map(line => line.trim().split(/\s+/))
+      .filter(args => args[0] === '-A' && args[1] === this.chain && args.includes(tag))
+      .map(args => args.slice(2).map(arg => arg.replace(/^"(.*)"$/, '$1')));
+  }
+
+  /**
+   * Live state for GET /fractal/:id/network
+   */
+  async inspect(agentId, policy) {
+    const name = this.networkName(agentId);
+    const network = await this.inspectNetwork(name);
+    const expected = this.rules(agentId, policy).map(rule => rule.join(' '));
+    const present = (await this.presentRules(agentId)).map(rule => rule.join(' '));
+
+    return {
+      docker: network
+        ? {
+          exists: true,
+          internal: Boolean(network.Internal),
+          subnets: (network.IPAM?.Config || []).map(c => c.Subnet).filter(Boolean),
+          containers: Object.values(network.Containers || {}).map(c => ({ name: c.Name, ipv4: c.IPv4Address }))
+        }
+        : { exists: false },
+      rules: {
+        chain: this.chain,
+        expected,
+        present,
+        inSync: expected.length === present.length && expected.every((rule, i) => rule === present[i])
+      }
+    };
+  }
+
+  /**
+   * `docker network inspect` result, or null if the network doesn't exist
+   */
+  async inspectNetwork(name) {
+    try {
+      const { stdout } = await this.docker(['network', 'inspect', name]);
+      return JSON.parse(stdout)[0] || null;
+    } catch (err) {
+      if (/no such network|not found/i.test(err.stderr || err.message)) return null;
+      throw err;
+    }
+  }
+
+  docker(args) {
+    const [command, ...prefix] = this.dockerCommand;
+    return execFileAsync(command, [...prefix, ...args]);
+  }
+
+  iptables(args) {
+    const [command, ...prefix] = this.iptablesCommand;
+    // -w: wait for the xtables lock instead of failing when Docker holds it
+    return execFileAsync(command, [...prefix, '-w', ...args]);
+  }
+}
+
+function isCidr(value) {
+  const [address, prefix, ...rest] = String(value).split('/');
+  if (rest.length > 0 || !net.isIPv4(address)) return false;
+  return prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= 32);
+}
+
+/**
+ * iptables prints bare addresses as /32; match that so rules compare equal
+ */
+function withPrefix(cidr) {
+  return cidr.includes('/') ? cidr : `${cidr}/32`;
+}
+
+NetworkManager.PROFILES = Object.keys(BUILTIN_PROFILES);
+NetworkManager.LAN_CIDRS = LAN_CIDRS;
+
+module.exports = NetworkManager;
@@ -1,211 +1,395 @@
 /**
  * OpenClaw Gateway Config Management
  * CRITICAL: Uses read-modify-write pattern to avoid config corruption
+ *
+ * All changes go through a config transaction: read once, apply agent,
+ * binding and group changes in memory, validate, write once, verify once.
  */
 
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const FileLock = require('./lock');
+const Metrics = require('./metrics');
 const { logger } = require('./utils');
 
 const execAsync = promisify(exec);
 
-class OpenClawClient {
-  constructor(config) {
-    this.gatewayCommand = config.gatewayCommand || 'openclaw gateway';
-    this.catchAllAgentId = config.catchAllAgentId || 'felix';
+/**
+ * In-memory set of changes against one config read
+ */
+class ConfigTransaction {
+  constructor(config, catchAllAgentId) {
+    this.config = config;
+    this.catchAllAgentId = catchAllAgentId;
+
+    if (!config.bindings) config.bindings = [];
+
+    this.initialAgentCount = config.agents.list.length;
+    this.expectedAgentCount = this.initialAgentCount;
+    this.touched = new Set();
+    this.changes = [];
+    this.expect = {
+      agentsPresent: new Set(),
+      agentsAbsent: new Set(),
+      groupsPresent: new Set()
+    };
+  }
+
+  hasChanges() {
+    return this.touched.size > 0;
   }
 
   /**
-   * Get full gateway config
+   * Add agent (fails if the ID already exists)
    */
-  async getConfig() {
-    logger.info('Reading OpenClaw config');
-    
-    const { stdout } = await execAsync(`${this.gatewayCommand} config.get`);
-    return JSON.parse(stdout);
+  addAgent(agentConfig) {
+    const list = this.config.agents.list;
+
+    if (list.find(a => a.id === agentConfig.id)) {
+      throw new Error(`Agent '${agentConfig.id}' already exists in config`);
+    }
+
+    list.push(agentConfig);
+    this.expectedAgentCount++;
+    this.expect.agentsPresent.add(agentConfig.id);
+    this.expect.agentsAbsent.delete(agentConfig.id);
+    this.touched.add('agents');
+    this.changes.push(`+agent ${agentConfig.id}`);
   }
 
   /**
-   * Patch gateway config
+   * Remove agent (fails if the ID is missing)
    */
-  async patchConfig(patch) {
-    logger.info('Patching OpenClaw config');
-    
-    const patchJson = JSON.stringify(patch);
-    const escapedPatch = patchJson.replace(/'/g, "'\\''");
-    
-    await execAsync(`${this.gatewayCommand} config.patch '${escapedPatch}'`);
+  removeAgent(agentId) {
+    const list = this.config.agents.list;
+    const index = list.findIndex(a => a.id === agentId);
+
+    if (index === -1) {
+      throw new Error(`Agent '${agentId}' not found in config`);
+    }
+
+    list.splice(index, 1);
+    this.expectedAgentCount--;
+    this.expect.agentsAbsent.add(agentId);
+    this.expect.agentsPresent.delete(agentId);
+    this.touched.add('agents');
+    this.changes.push(`-agent ${agentId}`);
   }
 
   /**
-   * Add agent to config (read-modify-write)
+   * Update an agent in place; `mutate` receives the entry
    */
-  async addAgent(agentConfig) {
-    logger.info(`Adding agent: ${agentConfig.id}`);
+  updateAgent(agentId, mutate) {
+    const agent = this.config.agents.list.find(a => a.id === agentId);
 
-    // Read full config
-    const config = await this.getConfig();
-    const initialCount = config.agents.list.length;
+    if (!agent) {
+      throw new Error(`Agent '${agentId}' not found in config`);
+    }
 
-    // Check if agent already exists
-    if (config.agents.list.find(a => a.id === agentConfig.id)) {
-      throw new Error(`Agent '${agentConfig.id}' already exists in config`);
+    mutate(agent);
+
+    if (agent.id !== agentId) {
+      throw new Error(`Agent update for '${agentId}' changed its ID, refusing to write`);
     }
 
-    // Add new agent
-    config.agents.list.push(agentConfig);
+    this.expect.agentsPresent.add(agentId);
+    this.touched.add('agents');
+    this.changes.push(`~agent ${agentId}`);
+    return agent;
+  }
 
-    // Validate count
-    if (config.agents.list.length !== initialCount + 1) {
-      throw new Error(
-        `Agent list length mismatch! Expected ${initialCount + 1}, got ${config.agents.list.length}`
-      );
+  /**
+   * Add binding before the catch-all.
+   * An optional position restores a previous slot, clamped to stay before the catch-all.
+   */
+  addBinding(binding, position = null) {
+    const bindings = this.config.bindings;
+    const catchAllIndex = this.catchAllIndex();
+
+    if (position !== null && position >= 0) {
+      const index = Math.min(position, catchAllIndex === -1 ? bindings.length : catchAllIndex);
+      bindings.splice(index, 0, binding);
+      logger.info(`Binding restored at position ${index}`);
+    } else if (catchAllIndex === -1) {
+      logger.warn(`Catch-all binding for ${this.catchAllAgentId} not found, appending to end`);
+      bindings.push(binding);
+    } else {
+      // Insert before catch-all
+      bindings.splice(catchAllIndex, 0, binding);
+      logger.info(`Binding inserted at position ${catchAllIndex} (before catch-all)`);
     }
 
-    // Write back FULL list
-    await this.patchConfig({
-      agents: {
-        list: config.agents.list
-      }
-    });
-
-    // Verify after write
-    const verify = await this.getConfig();
-    if (verify.agents.list.length !== initialCount + 1) {
-      throw new Error(
-        `POST-WRITE VALIDATION FAILED! Config has ${verify.agents.list.length} agents, expected ${initialCount + 1}. CHECK .bak FILES IMMEDIATELY!`
-      );
+    this.touched.add('bindings');
+    this.changes.push(`+binding ${binding.agentId}`);
+  }
+
+  /**
+   * Remove an agent's binding (no-op with a warning if missing)
+   */
+  removeBinding(agentId) {
+    const bindings = this.config.bindings;
+    const index = bindings.findIndex(b => b.agentId === agentId);
+
+    if (index === -1) {
+      logger.warn(`Binding for agent '${agentId}' not found`);
+      return;
     }
 
-    logger.info(`Agent added successfully. Config now has ${verify.agents.list.length} agents.`);
+    bindings.splice(index, 1);
+    this.touched.add('bindings');
+    this.changes.push(`-binding ${agentId}`);
   }
 
   /**
-   * Remove agent from config (read-modify-write)
+   * Set a room's group config (auto-reply, etc.)
    */
-  async removeAgent(agentId) {
-    logger.info(`Removing agent: ${agentId}`);
+  setGroupConfig(roomId, groupConfig) {
+    this.groups()[roomId] = groupConfig;
+    this.expect.groupsPresent.add(roomId);
+    this.touched.add('groups');
+    this.changes.push(`+group ${roomId}`);
+  }
 
-    // Read full config
-    const config = await this.getConfig();
-    const initialCount = config.agents.list.length;
+  /**
+   * Remove a room's group config (no-op with a warning if missing)
+   */
+  removeGroupConfig(roomId) {
+    const groups = this.groups();
 
-    // Find and remove agent
-    const index = config.agents.list.findIndex(a => a.id === agentId);
-    if (index === -1) {
-      throw new Error(`Agent '${agentId}' not found in config`);
+    if (!groups[roomId]) {
+      logger.warn(`Group config for room '${roomId}' not found`);
+      return;
+    }
+
+    delete groups[roomId];
+    this.expect.groupsPresent.delete(roomId);
+    this.touched.add('groups');
+    this.changes.push(`-group ${roomId}`);
+  }
+
+  groups() {
+    const config = this.config;
+    if (!config.channels) config.channels = {};
+    if (!config.channels.matrix) config.channels.matrix = {};
+    if (!config.channels.matrix.groups) config.channels.matrix.groups = {};
+    return config.channels.matrix.groups;
+  }
+
+  catchAllIndex(bindings = this.config.bindings) {
+    return bindings.findIndex(
+      b => b.agentId === this.catchAllAgentId && b.match?.channel === 'matrix' && !b.match.peer
+    );
+  }
+
+  /**
+   * Check invariants on a config: agent count, expected agents and groups, catch-all last
+   */
+  checkInvariants(config, stage) {
+    const list = config.agents?.list || [];
+    const problems = [];
+
+    if (list.length !== this.expectedAgentCount) {
+      problems.push(`agents.list has ${list.length} entries, expected ${this.expectedAgentCount}`);
     }
 
-    config.agents.list.splice(index, 1);
+    for (const id of this.expect.agentsPresent) {
+      if (!list.some(a => a.id === id)) problems.push(`agent '${id}' missing`);
+    }
+    for (const id of this.expect.agentsAbsent) {
+      if (list.some(a => a.id === id)) problems.push(`agent '${id}' still present`);
+    }
 
-    // Validate count
-    if (config.agents.list.length !== initialCount - 1) {
-      throw new Error(
-        `Agent list length mismatch! Expected ${initialCount - 1}, got ${config.agents.list.length}`
-      );
+    const groups = config.channels?.matrix?.groups || {};
+    for (const roomId of this.expect.groupsPresent) {
+      if (!groups[roomId]) problems.push(`group config for '${roomId}' missing`);
     }
 
-    // Write back FULL list
-    await this.patchConfig({
-      agents: {
-        list: config.agents.list
-      }
-    });
-
-    // Verify after write
-    const verify = await this.getConfig();
-    if (verify.agents.list.length !== initialCount - 1) {
-      throw new Error(
-        `POST-WRITE VALIDATION FAILED! Config has ${verify.agents.list.length} agents, expected ${initialCount - 1}. CHECK .bak FILES IMMEDIATELY!`
-      );
+    const bindings = config.bindings || [];
+    const catchAllIndex = this.catchAllIndex(bindings);
+    if (this.touched.has('bindings') && catchAllIndex !== -1 &&
+        bindings.slice(catchAllIndex + 1).some(b => b.match?.channel === 'matrix')) {
+      problems.push(`matrix bindings found after the ${this.catchAllAgentId} catch-all`);
     }
 
-    logger.info(`Agent removed successfully. Config now has ${verify.agents.list.length} agents.`);
+    if (problems.length > 0) {
+      const prefix = stage === 'post-write'
+        ? 'POST-WRITE VALIDATION FAILED! CHECK .bak FILES IMMEDIATELY!'
+        : 'Config transaction validation failed, refusing to write:';
+      throw new Error(`${prefix} ${problems.join('; ')}`);
+    }
   }
 
   /**
-   * Add binding (read-modify-write, insert before catch-all)
+   * Patch containing only the touched sections, each written back in FULL
    */
-  async addBinding(binding) {
-    logger.info(`Adding binding for agent: ${binding.agentId}`);
+  buildPatch() {
+    const patch = {};
+
+    if (this.touched.has('agents')) {
+      patch.agents = { list: this.config.agents.list };
+    }
+    if (this.touched.has('bindings')) {
+      patch.bindings = this.config.bindings;
+    }
+    if (this.touched.has('groups')) {
+      patch.channels = { matrix: { groups: this.groups() } };
+    }
+
+    return patch;
+  }
+}
+
+/**
+ * Emits 'transaction' ({ label, changes, before, after }) after each verified
+ * write; before/after are SHA-256 digests of the config read and the config verified.
+ */
+class OpenClawClient extends EventEmitter {
+  constructor(config, lockFile, metrics = new Metrics()) {
+    super();
+    this.gatewayCommand = config.gatewayCommand || 'openclaw gateway';
+    this.catchAllAgentId = config.catchAllAgentId || 'felix';
 
-    // Read full config
-    const config = await this.getConfig();
+    // Every transaction holds this lock, in-process and across processes
+    this.lock = new FileLock(lockFile, { timeoutMs: (config.lockTimeoutSeconds || 60) * 1000 });
 
-    // Find catch-all binding (should be last)
-    const catchAllIndex = config.bindings.findIndex(
-      b => b.agentId === this.catchAllAgentId && b.match.channel === 'matrix' && !b.match.peer
+    this.cliDuration = metrics.histogram(
+      'fractal_openclaw_cli_duration_seconds',
+      'OpenClaw CLI call latency by command and outcome',
+      ['command', 'outcome']
     );
+    this.restarts = metrics.counter(
+      'fractal_gateway_restarts_total',
+      'Gateway restarts by outcome',
+      ['outcome']
+    );
+    this.restartDuration = metrics.histogram(
+      'fractal_gateway_restart_duration_seconds',
+      'Gateway restart latency by outcome, including the wait for the service to come up',
+      ['outcome']
+    );
+  }
 
-    if (catchAllIndex === -1) {
-      logger.warn(`Catch-all binding for ${this.catchAllAgentId} not found, appending to end`);
-      config.bindings.push(binding);
-    } else {
-      // Insert before catch-all
-      config.bindings.splice(catchAllIndex, 0, binding);
-      logger.info(`Binding inserted at position ${catchAllIndex} (before catch-all)`);
+  /**
+   * Run a CLI command, timed under its command label
+   */
+  async exec(command, label) {
+    const done = this.cliDuration.startTimer({ command: label });
+    try {
+      const result = await execAsync(command);
+      done({ outcome: 'success' });
+      return result;
+    } catch (err) {
+      done({ outcome: 'failure' });
+      throw err;
     }
+  }
 
-    // Write back FULL list
-    await this.patchConfig({
-      bindings: config.bindings
-    });
+  /**
+   * Get full gateway config
+   */
+  async getConfig() {
+    logger.info('Reading OpenClaw config');
 
-    logger.info('Binding added successfully');
+    const { stdout } = await this.exec(`${this.gatewayCommand} config.get`, 'config.get');
+    return JSON.parse(stdout);
   }
 
   /**
-   * Remove binding (read-modify-write)
+   * Patch gateway config
    */
-  async removeBinding(agentId) {
-    logger.info(`Removing binding for agent: ${agentId}`);
+  async patchConfig(patch) {
+    logger.info('Patching OpenClaw config');
 
-    // Read full config
-    const config = await this.getConfig();
+    const patchJson = JSON.stringify(patch);
+    const escapedPatch = patchJson.replace(/'/g, "'\\''");
 
-    // Find and remove binding
-    const index = config.bindings.findIndex(b => b.agentId === agentId);
-    if (index === -1) {
-      logger.warn(`Binding for agent '${agentId}' not found`);
-      return;
-    }
+    await this.exec(`${this.gatewayCommand} config.patch '${escapedPatch}'`, 'config.patch');
+  }
+
+  /**
+   * Apply several changes as one read-modify-write.
+   * `build(tx)` records changes on the transaction; it must not call other
+   * OpenClawClient mutators (the lock is not reentrant).
+   */
+  async transaction(build, label = 'config transaction') {
+    return this.lock.run(async () => {
+      // Read full config once
+      const config = await this.getConfig();
+      const before = digest(config);
+      const tx = new ConfigTransaction(config, this.catchAllAgentId);
+
+      const result = await build(tx);
+
+      if (!tx.hasChanges()) {
+        logger.info(`${label}: no config changes`);
+        return result;
+      }
 
-    config.bindings.splice(index, 1);
+      // Validate BEFORE write
+      tx.checkInvariants(tx.config, 'pre-write');
 
-    // Write back FULL list
-    await this.patchConfig({
-      bindings: config.bindings
-    });
+      // Write once
+      await this.patchConfig(tx.buildPatch());
 
-    logger.info('Binding removed successfully');
+      // Verify once
+      const verify = await this.getConfig();
+      tx.checkInvariants(verify, 'post-write');
+
+      logger.info(`${label} applied (${tx.changes.join(', ')}). Config now has ${verify.agents.list.length} agents.`);
+      this.emit('transaction', { label, changes: tx.changes, before, after: digest(verify) });
+      return result;
+    }, label);
   }
 
   /**
-   * Set group config (auto-reply, etc.)
+   * Add agent to config
    */
-  async setGroupConfig(roomId, groupConfig) {
-    logger.info(`Setting group config for room: ${roomId}`);
+  async addAgent(agentConfig) {
+    logger.info(`Adding agent: ${agentConfig.id}`);
+    await this.transaction(tx => tx.addAgent(agentConfig), `addAgent ${agentConfig.id}`);
+  }
 
-    // Read full config
-    const config = await this.getConfig();
+  /**
+   * Remove agent from config
+   */
+  async removeAgent(agentId) {
+    logger.info(`Removing agent: ${agentId}`);
+    await this.transaction(tx => tx.removeAgent(agentId), `removeAgent ${agentId}`);
+  }
 
-    // Set group config
-    if (!config.channels) config.channels = {};
-    if (!config.channels.matrix) config.channels.matrix = {};
-    if (!config.channels.matrix.groups) config.channels.matrix.groups = {};
+  /**
+   * Update an existing agent in place
+   * `mutate` receives the agent entry and modifies it
+   */
+  async updateAgent(agentId, mutate) {
+    logger.info(`Updating agent: ${agentId}`);
+    return this.transaction(tx => tx.updateAgent(agentId, mutate), `updateAgent ${agentId}`);
+  }
 
-    config.channels.matrix.groups[roomId] = groupConfig;
+  /**
+   * Add binding (insert before catch-all, or at a restored position)
+   */
+  async addBinding(binding, position = null) {
+    logger.info(`Adding binding for agent: ${binding.agentId}`);
+    await this.transaction(tx => tx.addBinding(binding, position), `addBinding ${binding.agentId}`);
+  }
 
-    // Write back
-    await this.patchConfig({
-      channels: {
-        matrix: {
-          groups: config.channels.matrix.groups
-        }
-      }
-    });
+  /**
+   * Remove binding
+   */
+  async removeBinding(agentId) {
+    logger.info(`Removing binding for agent: ${agentId}`);
+    await this.transaction(tx => tx.removeBinding(agentId), `removeBinding ${agentId}`);
+  }
 
-    logger.info('Group config set successfully');
+  /**
+   * Set group config (auto-reply, etc.)
+   */
+  async setGroupConfig(roomId, groupConfig) {
+    logger.info(`Setting group config for room: ${roomId}`);
+    await this.transaction(tx => tx.setGroupConfig(roomId, groupConfig), `setGroupConfig ${roomId}`);
   }
 
   /**
@@ -213,26 +397,7 @@ class OpenClawClient {
    */
   async removeGroupConfig(roomId) {
     logger.info(`Removing group config for room: ${roomId}`);
-
-    // Read full config
-    const config = await this.getConfig();
-
-    if (config.channels?.matrix?.groups?.[roomId]) {
-      delete config.channels.matrix.groups[roomId];
-
-      // Write back
-      await this.patchConfig({
-        channels: {
-          matrix: {
-            groups: config.channels.matrix.groups
-          }
-        }
-      });
-
-      logger.info('Group config removed successfully');
-    } else {
-      logger.warn(`Group config for room '${roomId}' not found`);
-    }
+    await this.transaction(tx => tx.removeGroupConfig(roomId), `removeGroupConfig ${roomId}`);
   }
 
   /**
@@ -240,19 +405,36 @@ class OpenClawClient {
    */
   async restart() {
     logger.info('Restarting OpenClaw gateway');
-    
+    const done = this.restartDuration.startTimer();
+
     try {
-      await execAsync('systemctl restart openclaw-gateway.service');
-      logger.info('Gateway restart initiated');
-      
-      // Wait a bit for service to come up
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      try {
+        await this.exec('systemctl restart openclaw-gateway.service', 'systemctl restart');
+        logger.info('Gateway restart initiated');
+
+        // Wait a bit for service to come up
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      } catch (err) {
+        // Try alternative restart method
+        logger.warn('systemctl restart failed, trying openclaw gateway restart');
+        await this.exec(`${this.gatewayCommand} restart`, 'restart');
+      }
     } catch (err) {
-      // Try alternative restart method
-      logger.warn('systemctl restart failed, trying openclaw gateway restart');
-      await execAsync(`${this.gatewayCommand} restart`);
+      done({ outcome: 'failure' });
+      this.restarts.inc({ outcome: 'failure' });
+      throw err;
     }
+
+    done({ outcome: 'success' });
+    this.restarts.inc({ outcome: 'success' });
   }
 }
 
+/**
+ * SHA-256 of a config object
+ */
+function digest(config) {
+  return crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex');
+}
+
 module.exports = OpenClawClient;
@@ -0,0 +1,302 @@
+/**
+ * Port Forwards
+ * Host ports from a reserved range (9000-9099), each forwarded over TCP to a
+ * port in a fractal's sandbox container. Replaces scripts/mox-port-forward.py.
+ *
+ * As in the script, the container IP is resolved on every connection, so a
+ * forward survives OpenClaw recreating the container. Allocations are
+ * persisted and their listeners reopened on startup.
+ */
+
+const { readFileSync, writeFileSync, renameSync, existsSync } = require('fs');
+const net = require('net');
+const path = require('path');
+const Metrics = require('./metrics');
+const { logger, HttpError } = require('./utils');
+
+class PortForwarder {
+  constructor(config = {}, defaultDataDir, docker, metrics = new Metrics()) {
+    this.dataFile = config.dataFile || path.join(defaultDataDir, 'fractal-ports.json');
+    this.rangeStart = config.rangeStart || 9000;
+    this.rangeEnd = config.rangeEnd || 9099;
+    this.bindHost = config.bindHost || '0.0.0.0';
+    this.maxPerFractal = config.maxPerFractal || 5;
+    this.connectTimeoutMs = (config.connectTimeoutSeconds || 5) * 1000;
+    this.docker = docker;
+
+    if (config.containerPrefix !== undefined || config.dockerCommand !== undefined) {
+      logger.warn('ports.containerPrefix and ports.dockerCommand are ignored: containers are looked up with docker.containerPrefix on docker.hosts');
+    }
+
+    if (!(Number.isInteger(this.rangeStart) && Number.isInteger(this.rangeEnd) &&
+        this.rangeStart >= 1 && this.rangeStart <= this.rangeEnd && this.rangeEnd <= 65535)) {
+      throw new Error(`Invalid ports config: range ${this.rangeStart}-${this.rangeEnd}`);
+    }
+
+    this.allocations = this.load();
+    this.listeners = new Map();
+
+    this.connections = metrics.counter(
+      'fractal_port_forward_connections_total',
+      'Forwarded connections by fractal and outcome (forwarded, no_container, connect_failed)',
+      ['agentId', 'outcome']
+    );
+  }
+
+  /**
+   * Load allocations from disk
+   */
+  load() {
+    if (!existsSync(this.dataFile)) {
+      logger.info(`Port allocation file not found, creating: ${this.dataFile}`);
+      return [];
+    }
+
+    try {
+      const allocations = JSON.parse(readFileSync(this.dataFile, 'utf8'));
+      logger.info(`Loaded ${allocations.length} port forward(s)`);
+      return allocations;
+    } catch (err) {
+      logger.error(`Failed to load port allocations: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Save allocations (temp file, then rename over the original)
+   */
+  save() {
+    const tmpFile = `${this.dataFile}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify(this.allocations, null, 2), 'utf8');
+    renameSync(tmpFile, this.dataFile);
+  }
+
+  /**
+   * Allocations with their listener state; all of them, or one fractal's
+   */
+  list(agentId = null) {
+    return this.allocations
+      .filter(a => !agentId || a.agentId === agentId)
+      .map(a => this.format(a));
+  }
+
+  format(allocation) {
+    const listener = this.listeners.get(allocation.port);
+    return {
+      ...allocation,
+      listening: Boolean(listener?.server.listening),
+      ...(listener?.error && { error: listener.error })
+    };
+  }
+
+  /**
+   * Problems with a POST /fractal/:id/ports body
+   */
+  validate(body) {
+    const errors = [];
+    if (body.port !== undefined && !(Number.isInteger(body.port) && body.port >= this.rangeStart && body.port <= this.rangeEnd)) {
+      errors.push(`port must be an integer in ${this.rangeStart}-${this.rangeEnd}`);
+    }
+    if (body.containerPort !== undefined && !(Number.isInteger(body.containerPort) && body.containerPort >= 1 && body.containerPort <= 65535)) {
+      errors.push('containerPort must be an integer in 1-65535');
+    }
+    if (body.description !== undefined && typeof body.description !== 'string') {
+      errors.push('description must be a string');
+    }
+    return errors;
+  }
+
+  /**
+   * Reserve a host port (the requested one, or the lowest free) and start forwarding it.
+   * Throws HttpError 409 when the port is taken or the range is exhausted.
+   */
+  async allocate(agentId, { port = null, containerPort = null, description = '' } = {}) {
+    if (this.list(agentId).length >= this.maxPerFractal) {
+      throw new HttpError(409, `Fractal already has ${this.maxPerFractal} port forwards (ports.maxPerFractal)`);
+    }
+
+    const taken = new Set(this.allocations.map(a => a.port));
+    if (port !== null && taken.has(port)) {
+      const owner = this.allocations.find(a => a.port === port).agentId;
+      throw new HttpError(409, `Port ${port} is already allocated to '${owner}'`);
+    }
+
+    const candidates = port !== null ? [port] : range(this.rangeStart, this.rangeEnd).filter(p => !taken.has(p));
+    for (const candidate of candidates) {
+      const allocation = {
+        port: candidate,
+        agentId,
+        containerPort: containerPort || candidate,
+        description,
+        createdAt: new Date().toISOString()
+      };
+
+      try {
+        await this.listen(allocation);
+      } catch (err) {
+        // In use outside the API (e.g. the old mox-port-forward service): try the next one
+        if (err.code !== 'EADDRINUSE') throw err;
+        logger.warn(`Port ${candidate} is in use by another process`);
+        continue;
+      }
+
+      this.allocations.push(allocation);
+      this.save();
+      logger.info(`Port ${candidate} → ${agentId}:${allocation.containerPort} allocated`);
+      return this.format(allocation);
+    }
+
+    throw new HttpError(409, port !== null
+      ? `Port ${port} is in use by another process`
+      : `No free port in ${this.rangeStart}-${this.rangeEnd}`);
+  }
+
+  /**
+   * Stop forwarding a port and free it. Returns the allocation, or null if it isn't the fractal's.
+   */
+  async release(agentId, port) {
+    const allocation = this.allocations.find(a => a.port === port && a.agentId === agentId);
+    if (!allocation) return null;
+
+    await this.close(port);
+    this.allocations = this.allocations.filter(a => a !== allocation);
+    this.save();
+    logger.info(`Port ${port} released (was ${agentId}:${allocation.containerPort})`);
+    return allocation;
+  }
+
+  /**
+   * Release every port of a fractal (on delete); returns the freed ports
+   */
+  async releaseAll(agentId) {
+    const ports = this.allocations.filter(a => a.agentId === agentId).map(a => a.port);
+    for (const port of ports) {
+      await this.release(agentId, port);
+    }
+    return ports;
+  }
+
+  /**
+   * Reopen listeners for persisted allocations (on startup). Failures are
+   * logged and shown on the allocation; the port stays reserved.
+   */
+  async start() {
+    for (const allocation of this.allocations) {
+      try {
+        await this.listen(allocation);
+      } catch (err) {
+        this.listeners.set(allocation.port, { server: { listening: false }, error: err.message });
+        logger.error(`Failed to reopen port forward ${allocation.port} → ${allocation.agentId}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Close all listeners (on shutdown)
+   */
+  async stop() {
+    for (const port of [...this.listeners.keys()]) {
+      await this.close(port);
+    }
+  }
+
+  listen(allocation) {
+    const server = net.createServer(socket => this.forward(allocation, socket));
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(allocation.port, this.bindHost, () => {
+        server.off('error', reject);
+        server.on('error', err => logger.error(`Port forward ${allocation.port} error:`, err.message));
+        this.listeners.set(allocation.port, { server, sockets: new Set() });
+        logger.info(`Forwarding ${this.bindHost}:${allocation.port} → ${allocation.agentId}:${allocation.containerPort}`);
+        resolve();
+      });
+    });
+  }
+
+  close(port) {
+    const listener = this.listeners.get(port);
+    this.listeners.delete(port);
+    if (!listener?.server.listening) return Promise.resolve();
+
+    // Open connections would keep the server from closing
+    listener.sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => listener.server.close(() => resolve()));
+  }
+
+  /**
+   * Pipe one client connection to the container, resolved now
+   */
+  async forward(allocation, client) {
+    const { agentId, port, containerPort } = allocation;
+    const peer = `${client.remoteAddress}:${client.remotePort}`;
+    const sockets = this.listeners.get(port)?.sockets;
+    sockets?.add(client);
+    client.on('close', () => sockets?.delete(client));
+    client.on('error', () => client.destroy());
+    client.pause();
+
+    let ip;
+    try {
+      ip = await this.resolveContainerIp(agentId);
+    } catch (err) {
+      logger.warn(`[:${port}] Container lookup for ${agentId} failed:`, err.message);
+    }
+    if (!ip) {
+      logger.warn(`[:${port}] ${peer} → no sandbox container running for ${agentId}, refusing`);
+      this.connections.inc({ agentId, outcome: 'no_container' });
+      client.destroy();
+      return;
+    }
+
+    const upstream = net.connect({ host: ip, port: containerPort, timeout: this.connectTimeoutMs });
+    sockets?.add(upstream);
+    upstream.on('close', () => sockets?.delete(upstream));
+
+    let connected = false;
+    upstream.once('timeout', () => upstream.destroy(new Error('connect timed out')));
+    upstream.once('connect', () => {
+      connected = true;
+      upstream.setTimeout(0);
+      this.connections.inc({ agentId, outcome: 'forwarded' });
+      client.pipe(upstream);
+      upstream.pipe(client);
+      client.resume();
+    });
+    upstream.on('error', err => {
+      if (!connected) {
+        logger.warn(`[:${port}] ${peer} → connect to ${ip}:${containerPort} failed:`, err.message);
+        this.connections.inc({ agentId, outcome: 'connect_failed' });
+      }
+      client.destroy();
+    });
+    client.on('close', () => upstream.destroy());
+    upstream.on('close', () => client.destroy());
+  }
+
+  /**
+   * IP of the fractal's running sandbox container on a local daemon, or null if there is none.
+   * A remote daemon's container has a bridge IP on that host, unreachable from here.
+   */
+  async resolveContainerIp(agentId) {
+    const { containers, errors } = await this.docker.findContainers(agentId);
+    const running = containers.filter(c => c.state === 'running');
+    const container = running.find(c => c.daemon.startsWith('unix://'));
+    if (!container) {
+      errors.forEach(({ daemon, error }) => logger.warn(`Container lookup for ${agentId} on ${daemon} failed:`, error));
+      running.forEach(c => logger.warn(`Not forwarding to ${c.name} on ${c.daemon}: containers on remote daemons aren't reachable from this host`));
+      return null;
+    }
+
+    const { details } = await this.docker.inspect(agentId, container.id);
+    const networks = details?.NetworkSettings?.Networks || {};
+    return Object.values(networks).map(n => n.IPAddress).find(Boolean) || null;
+  }
+}
+
+function range(start, end) {
+  return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+}
+
+module.exports = PortForwarder;
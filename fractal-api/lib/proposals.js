@@ -0,0 +1,384 @@
+/**
+ * Fractal Proposal Queue
+ * Human-in-the-loop approval of fractal creation via the admin Matrix room
+ */
+
+const { readFileSync, writeFileSync, existsSync } = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { logger } = require('./utils');
+
+const APPROVE_REACTIONS = ['✅', '✔️', '👍'];
+const REJECT_REACTIONS = ['❌', '✖️', '👎', '🚫'];
+const APPROVE_WORDS = ['approve', 'approved', 'yes', 'lgtm'];
+const REJECT_WORDS = ['reject', 'rejected', 'no', 'deny'];
+const PAGE_SIZE = 100;
+
+class ProposalQueue {
+  constructor(config, matrix, defaultDataDir) {
+    this.matrix = matrix;
+    this.adminRoomId = config.adminRoomId;
+    this.approvers = config.approvers || [];
+    this.ttlHours = config.ttlHours || 48;
+    this.dataFile = config.dataFile || path.join(defaultDataDir, 'fractal-proposals.json');
+    this.stateFile = config.stateFile || path.join(defaultDataDir, 'fractal-proposals-state.json');
+    this.proposals = this.load();
+    this.since = this.loadState().since || null;
+
+    // Without approvers, anyone in the admin room could approve
+    if (!Array.isArray(this.approvers) || this.approvers.length === 0) {
+      throw new Error('Invalid proposals config: approvers must list at least one Matrix user');
+    }
+  }
+
+  /**
+   * Load proposals from disk
+   */
+  load() {
+    if (!existsSync(this.dataFile)) {
+      logger.info(`Proposal file not found, creating: ${this.dataFile}`);
+      return [];
+    }
+
+    try {
+      const proposals = JSON.parse(readFileSync(this.dataFile, 'utf8'));
+      logger.info(`Loaded ${proposals.length} proposals`);
+      return proposals;
+    } catch (err) {
+      logger.error(`Failed to load proposals: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Save proposals to disk
+   */
+  save() {
+    try {
+      writeFileSync(this.dataFile, JSON.stringify(this.proposals, null, 2), 'utf8');
+    } catch (err) {
+      logger.error(`Failed to save proposals: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Load the admin room position read so far
+   */
+  loadState() {
+    if (!existsSync(this.stateFile)) return {};
+
+    try {
+      return JSON.parse(readFileSync(this.stateFile, 'utf8'));
+    } catch (err) {
+      logger.error(`Failed to load proposal poll state, rescanning the admin room: ${err.message}`);
+      return {};
+    }
+  }
+
+  saveState() {
+    writeFileSync(this.stateFile, JSON.stringify({ since: this.since }, null, 2), 'utf8');
+  }
+
+  /**
+   * Get a proposal by ID
+   */
+  get(id) {
+    return this.proposals.find(p => p.id === id);
+  }
+
+  /**
+   * List proposals, optionally filtered by status
+   */
+  list(status = null) {
+    return this.proposals.filter(p => !status || p.status === status);
+  }
+
+  /**
+   * Find an open (pending, approved or provisioning) proposal for an agent ID
+   */
+  findOpen(agentId) {
+    return this.proposals.find(
+      p => p.params.agentId === agentId && ['pending', 'approved', 'provisioning'].includes(p.status)
+    );
+  }
+
+  /**
+   * Create a proposal and post its summary to the admin room
+   */
+  async propose(params) {
+    const now = new Date();
+    const proposal = {
+      id: `prop-${crypto.randomBytes(4).toString('hex')}`,
+      status: 'pending',
+      params,
+      adminRoomId: this.adminRoomId,
+      eventId: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlHours * 3600 * 1000).toISOString()
+    };
+
+    const { body, html } = this.formatSummary(proposal);
+    proposal.eventId = await this.matrix.sendMessage(this.adminRoomId, body, html);
+
+    this.proposals.push(proposal);
+    this.save();
+
+    logger.info(`Proposal ${proposal.id} posted for ${params.agentId} (event ${proposal.eventId})`);
+    return proposal;
+  }
+
+  /**
+   * Scan the admin room for decisions and expire overdue proposals.
+   * Returns proposals that were approved during this poll.
+   */
+  async poll() {
+    await this.expireOverdue();
+
+    const pending = this.list('pending');
+    if (pending.length === 0) {
+      // Nothing to decide; the next proposal scans back from the room's end
+      if (this.since) {
+        this.since = null;
+        this.saveState();
+      }
+      return [];
+    }
+
+    const byEventId = new Map(pending.map(p => [p.eventId, p]));
+    const events = await this.readEvents(pending);
+    const approved = [];
+
+    // Oldest first, so the first decision on a proposal wins
+    for (const event of events) {
+      const decision = this.parseDecision(event);
+      if (!decision) continue;
+
+      const proposal = byEventId.get(decision.eventId);
+      if (!proposal || proposal.status !== 'pending') continue;
+
+      proposal.status = decision.action === 'approve' ? 'approved' : 'rejected';
+      proposal.decidedBy = event.sender;
+      proposal.decidedAt = new Date(event.origin_server_ts || Date.now()).toISOString();
+      logger.info(`Proposal ${proposal.id} ${proposal.status} by ${event.sender}`);
+
+      if (proposal.status === 'approved') {
+        approved.push(proposal);
+      } else {
+        await this.notify(proposal, `❌ Proposal ${proposal.id} rejected by ${event.sender}.`);
+      }
+    }
+
+    // Decisions are saved before the position moves past them
+    this.save();
+    this.saveState();
+    return approved;
+  }
+
+  /**
+   * Admin room events since the last poll, oldest first. Without a position
+   * (first poll, or none pending since), pages back until every pending
+   * proposal's summary has been seen: decisions can only follow it.
+   */
+  async readEvents(pending) {
+    if (this.since) {
+      try {
+        const events = [];
+        let from = this.since;
+        for (;;) {
+          const page = await this.matrix.getRoomMessages(this.adminRoomId, { from, dir: 'f', limit: PAGE_SIZE });
+          events.push(...page.chunk);
+          if (page.chunk.length === 0 || !page.end) break;
+          from = page.end;
+        }
+        this.since = from;
+        return events;
+      } catch (err) {
+        // A stale token would fail every poll; the next one scans back instead
+        this.since = null;
+        this.saveState();
+        throw err;
+      }
+    }
+
+    const unseen = new Set(pending.map(p => p.eventId));
+    const events = [];
+    let page = await this.matrix.getRoomMessages(this.adminRoomId, { dir: 'b', limit: PAGE_SIZE });
+    const since = page.start;
+
+    for (;;) {
+      events.push(...page.chunk);
+      page.chunk.forEach(event => unseen.delete(event.event_id));
+      if (unseen.size === 0 || page.chunk.length === 0 || !page.end) break;
+      page = await this.matrix.getRoomMessages(this.adminRoomId, { from: page.end, dir: 'b', limit: PAGE_SIZE });
+    }
+
+    this.since = since;
+    return events.reverse();
+  }
+
+  /**
+   * Extract an approve/reject decision from a reaction or reply event
+   */
+  parseDecision(event) {
+    if (event.sender === this.matrix.botUserId) return null;
+    if (this.approvers.length > 0 && !this.approvers.includes(event.sender)) return null;
+
+    const relates = event.content?.['m.relates_to'];
+    if (!relates) return null;
+
+    if (event.type === 'm.reaction' && relates.rel_type === 'm.annotation') {
+      if (APPROVE_REACTIONS.includes(relates.key)) {
+        return { eventId: relates.event_id, action: 'approve' };
+      }
+      if (REJECT_REACTIONS.includes(relates.key)) {
+        return { eventId: relates.event_id, action: 'reject' };
+      }
+      return null;
+    }
+
+    const replyTo = relates['m.in_reply_to']?.event_id;
+    if (event.type === 'm.room.message' && replyTo) {
+      // Skip the quoted fallback lines clients prepend to replies
+      const text = (event.content.body || '')
+        .split('\n')
+        .filter(line => !line.startsWith('>'))
+        .join(' ')
+        .trim();
+      const word = text.split(/\s+/)[0]?.toLowerCase().replace(/[^a-z]/g, '');
+
+      if (APPROVE_WORDS.includes(word)) {
+        return { eventId: replyTo, action: 'approve' };
+      }
+      if (REJECT_WORDS.includes(word)) {
+        return { eventId: replyTo, action: 'reject' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Expire pending proposals past their TTL, and say so in the admin room
+   */
+  async expireOverdue() {
+    const now = Date.now();
+    const overdue = this.list('pending').filter(p => new Date(p.expiresAt).getTime() <= now);
+    if (overdue.length === 0) return;
+
+    for (const proposal of overdue) {
+      proposal.status = 'expired';
+      proposal.decidedAt = new Date().toISOString();
+      logger.info(`Proposal ${proposal.id} expired`);
+    }
+    this.save();
+
+    for (const proposal of overdue) {
+      await this.notify(proposal, `⌛ Proposal ${proposal.id} expired.`);
+    }
+  }
+
+  /**
+   * Expire a pending proposal on request
+   */
+  async expire(id) {
+    const proposal = this.get(id);
+
+    if (!proposal) {
+      throw new Error(`Proposal not found: ${id}`);
+    }
+    if (proposal.status !== 'pending') {
+      throw new Error(`Proposal ${id} is ${proposal.status}, only pending proposals can be expired`);
+    }
+
+    proposal.status = 'expired';
+    proposal.decidedAt = new Date().toISOString();
+    this.save();
+
+    await this.notify(proposal, `⌛ Proposal ${proposal.id} expired.`);
+    return proposal;
+  }
+
+  /**
+   * Tie an approved proposal to the create operation provisioning it
+   */
+  startProvisioning(id, operationId) {
+    const proposal = this.get(id);
+    proposal.status = 'provisioning';
+    proposal.operationId = operationId;
+    this.save();
+  }
+
+  /**
+   * Record the outcome of an approved proposal
+   */
+  async complete(id, fractal) {
+    const proposal = this.get(id);
+    proposal.status = 'completed';
+    proposal.result = { agentId: fractal.agentId, roomId: fractal.roomId };
+    proposal.completedAt = new Date().toISOString();
+    this.save();
+
+    await this.notify(proposal, `✅ Fractal ${fractal.agentId} created in ${fractal.roomId}.`);
+  }
+
+  async fail(id, err) {
+    const proposal = this.get(id);
+    proposal.status = 'failed';
+    proposal.error = err.message;
+    proposal.completedAt = new Date().toISOString();
+    this.save();
+
+    await this.notify(proposal, `⚠️ Fractal ${proposal.params.agentId} creation failed: ${err.message}`);
+  }
+
+  /**
+   * Reply to the proposal message in the admin room (best effort)
+   */
+  async notify(proposal, text) {
+    try {
+      await this.matrix.sendMessage(this.adminRoomId, text, null, proposal.eventId);
+    } catch (err) {
+      logger.warn(`Failed to post proposal update for ${proposal.id}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Format the proposal summary posted to the admin room
+   */
+  formatSummary(proposal) {
+    const p = proposal.params;
+    const fields = [
+      ['Name', p.name],
+      ['Agent ID', p.agentId],
+      ['Purpose', p.purpose || '—'],
+      ['Persona', p.persona || '—'],
+      ['Model', p.model || 'default'],
+      ['Invite', (p.inviteUsers || []).join(', ') || '—'],
+      ['Auto-reply', p.autoReply === false ? 'off' : 'on'],
+      ...(p.source?.type === 'clone' ? [['Clone of', `${p.source.agentId} (${p.source.includeMemory ? 'with' : 'without'} memory)`]] : [])
+    ];
+
+    const escape = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const footer = `React ✅ or reply "approve" to create, ❌ or "reject" to decline. Expires ${proposal.expiresAt}.`;
+
+    const body = [
+      `🌱 Fractal proposal ${proposal.id}`,
+      ...fields.map(([k, v]) => `${k}: ${v}`),
+      '',
+      footer
+    ].join('\n');
+
+    const html = [
+      `<h4>🌱 Fractal proposal <code>${proposal.id}</code></h4>`,
+      '<ul>',
+      ...fields.map(([k, v]) => `<li><b>${k}:</b> ${escape(v)}</li>`),
+      '</ul>',
+      `<p>${escape(footer)}</p>`
+    ].join('');
+
+    return { body, html };
+  }
+}
+
+module.exports = ProposalQueue;
@@ -0,0 +1,463 @@
+/**
+ * Drift Detection and Reconciliation
+ * Cross-checks the registry against the gateway config, workspaces and
+ * Matrix rooms, finds orphans in the other direction, and applies the
+ * repairs a caller picks from the report
+ */
+
+const { existsSync, readdirSync, statSync } = require('fs');
+const path = require('path');
+const { logger } = require('./utils');
+
+const MIN_MEMBERS = 3;
+
+// Repairs that change the gateway config (applied in one transaction)
+const CONFIG_ACTIONS = [
+  'restore-agent', 'restore-binding', 'restore-group',
+  'remove-agent', 'remove-binding', 'remove-group'
+];
+const OTHER_ACTIONS = ['restore-workspace', 'restore-members', 'unregister', 'delete-workspace', 'rebuild-registry'];
+const REPAIR_ACTIONS = [...CONFIG_ACTIONS, ...OTHER_ACTIONS];
+
+class Reconciler {
+  constructor(config, { registry, openclaw, workspace, matrix, buildAgentConfig }) {
+    this.registry = registry;
+    this.openclaw = openclaw;
+    this.workspace = workspace;
+    this.matrix = matrix;
+    this.buildAgentConfig = buildAgentConfig;
+    this.paddingUser = config.paddingUser;
+
+    // Base agents and rooms that are not fractals (the catch-all is always ignored)
+    this.ignoreAgents = new Set([openclaw.catchAllAgentId, ...(config.ignoreAgents || [])]);
+    this.ignoreRooms = new Set(config.ignoreRooms || []);
+  }
+
+  /**
+   * Build the drift report.
+   * `busy` lists agent IDs with an operation in progress; they are reported but not judged.
+   */
+  async check({ checkRooms = true, busy = [] } = {}) {
+    this.registry.reload();
+    const state = await this.readState();
+    const report = {
+      checkedAt: new Date().toISOString(),
+      summary: { fractals: 0, ok: 0, drifted: 0, busy: 0, orphans: 0, rebuildable: 0 },
+      fractals: [],
+      orphans: []
+    };
+
+    for (const fractal of this.registry.list()) {
+      const entry = busy.includes(fractal.agentId)
+        ? { agentId: fractal.agentId, status: fractal.status, busy: true, ok: null, checks: {}, repairs: [] }
+        : await this.checkFractal(fractal, state, checkRooms);
+
+      report.fractals.push(entry);
+      report.summary.fractals++;
+      if (entry.busy) report.summary.busy++;
+      else if (entry.ok) report.summary.ok++;
+      else report.summary.drifted++;
+    }
+
+    report.orphans = this.findOrphans(state);
+    report.summary.orphans = report.orphans.length;
+    report.summary.rebuildable = this.rebuildCandidates(state).length;
+
+    return report;
+  }
+
+  /**
+   * Gateway config sections plus registry lookups used by every check
+   */
+  async readState() {
+    const config = await this.openclaw.getConfig();
+
+    return {
+      agents: config.agents?.list || [],
+      bindings: config.bindings || [],
+      groups: config.channels?.matrix?.groups || {},
+      registered: new Set(this.registry.list().map(f => f.agentId)),
+      registeredRooms: new Set(this.registry.list().map(f => f.roomId))
+    };
+  }
+
+  /**
+   * Check one registry entry against config, workspace and room
+   */
+  async checkFractal(fractal, state, checkRooms) {
+    const { agentId, roomId } = fractal;
+    const active = fractal.status === 'active';
+    const agentRemoved = fractal.status === 'paused' && Boolean(fractal.pausedState?.agent);
+    const checks = {};
+    const repairs = [];
+
+    // agents.list entry: always expected, unless paused with removeAgent=true
+    const agent = state.agents.find(a => a.id === agentId);
+    if (agentRemoved) {
+      checks.agent = agent
+        ? fail('present although removed while paused')
+        : pass('removed while paused');
+    } else {
+      checks.agent = agent ? pass() : fail('missing from agents.list');
+      if (!agent) repairs.push({ action: 'restore-agent', agentId });
+    }
+
+    // Binding and group config: expected while active, absent while paused
+    const binding = state.bindings.find(b => b.agentId === agentId);
+    const group = state.groups[roomId];
+    if (active) {
+      if (!binding) {
+        checks.binding = fail('missing');
+        repairs.push({ action: 'restore-binding', agentId });
+      } else if (binding.match?.peer?.id !== roomId) {
+        checks.binding = fail(`points at ${binding.match?.peer?.id || 'no room'}, expected ${roomId}`);
+        repairs.push({ action: 'restore-binding', agentId });
+      } else {
+        checks.binding = pass();
+      }
+
+      checks.group = group ? pass() : fail('missing from channels.matrix.groups');
+      if (!group) repairs.push({ action: 'restore-group', agentId });
+    } else {
+      checks.binding = binding ? fail(`present although ${fractal.status}`) : pass(`absent while ${fractal.status}`);
+      if (binding) repairs.push({ action: 'remove-binding', agentId });
+
+      checks.group = group ? fail(`present although ${fractal.status}`) : pass(`absent while ${fractal.status}`);
+      if (group) repairs.push({ action: 'remove-group', roomId });
+    }
+
+    // Workspace directory
+    const workspacePath = fractal.workspace || path.join(this.workspace.baseDir, agentId);
+    checks.workspace = isDirectory(workspacePath) ? pass() : fail(`${workspacePath} missing`);
+    if (!checks.workspace.ok) repairs.push({ action: 'restore-workspace', agentId });
+
+    // Room membership: bot joined and 3+ members
+    if (checkRooms) {
+      checks.room = await this.checkRoom(roomId);
+      if (checks.room.repair) {
+        repairs.push({ action: checks.room.repair, agentId });
+        delete checks.room.repair;
+      }
+    }
+
+    // Nothing left but the registry entry: offer to drop it instead
+    if (active && !agent && !binding && !group && !checks.workspace.ok) {
+      repairs.push({ action: 'unregister', agentId });
+    }
+
+    return {
+      agentId,
+      roomId,
+      status: fractal.status,
+      ok: Object.values(checks).every(check => check.ok),
+      checks,
+      repairs
+    };
+  }
+
+  async checkRoom(roomId) {
+    try {
+      const members = await this.matrix.getJoinedMembers(roomId);
+
+      if (!members.includes(this.matrix.botUserId)) {
+        return fail(`bot ${this.matrix.botUserId} is not joined`, { members: members.length });
+      }
+      if (members.length < MIN_MEMBERS) {
+        return { ...fail(`${members.length} members, need ${MIN_MEMBERS}+`, { members: members.length }), repair: 'restore-members' };
+      }
+      return pass(null, { members: members.length });
+    } catch (err) {
+      return fail(`unreachable: ${err.message}`);
+    }
+  }
+
+  /**
+   * Config entries and workspaces that no registry entry accounts for
+   */
+  findOrphans(state) {
+    const orphans = [];
+    const baseDir = this.workspace.baseDir;
+    const agentIds = new Set(state.agents.map(a => a.id));
+    const rebuildable = new Set(this.rebuildCandidates(state).map(c => c.agentId));
+
+    // Agents that look like fractals (peer binding or workspace under baseDir) but aren't registered
+    for (const agent of state.agents) {
+      if (state.registered.has(agent.id) || this.ignoreAgents.has(agent.id)) continue;
+
+      const bound = state.bindings.some(b => b.agentId === agent.id && b.match?.peer);
+      if (!bound && !isInside(agent.workspace, baseDir)) continue;
+
+      orphans.push({
+        kind: 'agent',
+        agentId: agent.id,
+        detail: 'in agents.list but not in the registry',
+        repairs: [
+          ...(rebuildable.has(agent.id) ? [{ action: 'rebuild-registry', agentId: agent.id }] : []),
+          { action: 'remove-agent', agentId: agent.id }
+        ]
+      });
+    }
+
+    // Room bindings for unregistered or missing agents
+    for (const binding of state.bindings) {
+      if (!binding.match?.peer || this.ignoreAgents.has(binding.agentId)) continue;
+      if (state.registered.has(binding.agentId)) continue;
+
+      orphans.push({
+        kind: 'binding',
+        agentId: binding.agentId,
+        roomId: binding.match.peer.id,
+        detail: agentIds.has(binding.agentId) ? 'agent not in the registry' : 'agent does not exist',
+        repairs: [{ action: 'remove-binding', agentId: binding.agentId }]
+      });
+    }
+
+    // Group configs for rooms no binding or fractal uses
+    for (const roomId of Object.keys(state.groups)) {
+      if (this.ignoreRooms.has(roomId) || state.registeredRooms.has(roomId)) continue;
+      if (state.bindings.some(b => b.match?.peer?.id === roomId)) continue;
+
+      orphans.push({
+        kind: 'group',
+        roomId,
+        detail: 'group config for a room with no binding',
+        repairs: [{ action: 'remove-group', roomId }]
+      });
+    }
+
+    // Workspace directories nothing points at
+    if (existsSync(baseDir)) {
+      for (const name of readdirSync(baseDir)) {
+        const dir = path.join(baseDir, name);
+        if (!isDirectory(dir) || state.registered.has(name) || this.ignoreAgents.has(name)) continue;
+        if (state.agents.some(a => a.id === name || a.workspace === dir)) continue;
+
+        orphans.push({
+          kind: 'workspace',
+          agentId: name,
+          path: dir,
+          detail: 'workspace with no registry entry or agent',
+          // Other names (staging directories, hand-made copies) are left to an admin
+          repairs: /^[a-z0-9-]+$/.test(name) ? [{ action: 'delete-workspace', agentId: name }] : []
+        });
+      }
+    }
+
+    return orphans;
+  }
+
+  /**
+   * Unregistered agents with a room binding: enough to rebuild a registry entry
+   */
+  rebuildCandidates(state) {
+    return state.agents
+      .filter(agent => !state.registered.has(agent.id) && !this.ignoreAgents.has(agent.id))
+      .map(agent => ({ agent, binding: state.bindings.find(b => b.agentId === agent.id && b.match?.peer) }))
+      .filter(({ binding }) => binding)
+      .map(({ agent, binding }) => {
+        const roomId = binding.match.peer.id;
+        return {
+          agentId: agent.id,
+          roomId,
+          name: agent.identity?.name || agent.id,
+          purpose: agent.identity?.theme,
+          model: agent.model?.primary,
+          autoReply: state.groups[roomId]?.autoReply !== undefined ? state.groups[roomId].autoReply : true,
+          workspace: agent.workspace
+        };
+      });
+  }
+
+  /**
+   * Apply chosen repairs: config repairs in one transaction (one restart), then the rest.
+   * Each repair reports applied, skipped (nothing to do) or failed.
+   */
+  async repair(repairs, { restart = true } = {}) {
+    this.registry.reload();
+    const results = repairs.map(repair => ({ ...repair, status: 'pending' }));
+    const configResults = results.filter(r => CONFIG_ACTIONS.includes(r.action));
+    const otherResults = results.filter(r => !CONFIG_ACTIONS.includes(r.action));
+
+    let configChanged = false;
+    if (configResults.length > 0) {
+      try {
+        configChanged = await this.openclaw.transaction(tx => {
+          configResults.forEach(result => this.applyConfigRepair(tx, result));
+          return configResults.some(result => result.status === 'applied');
+        }, 'reconcile');
+      } catch (err) {
+        logger.error('Reconcile config transaction failed:', err.message);
+        configResults
+          .filter(result => result.status === 'applied')
+          .forEach(result => Object.assign(result, { status: 'failed', error: err.message }));
+      }
+    }
+
+    for (const result of otherResults) {
+      try {
+        await this.applyRepair(result);
+      } catch (err) {
+        logger.error(`Repair ${result.action} failed:`, err.message);
+        Object.assign(result, { status: 'failed', error: err.message });
+      }
+    }
+
+    let restarted = false;
+    if (configChanged && restart) {
+      await this.openclaw.restart();
+      restarted = true;
+    }
+
+    return { results, restarted };
+  }
+
+  /**
+   * Record one config repair on the transaction, checking live state first
+   */
+  applyConfigRepair(tx, result) {
+    const { action, agentId, roomId } = result;
+    const fractal = agentId ? this.registry.get(agentId) : null;
+    const agents = tx.config.agents.list;
+    const bindings = tx.config.bindings;
+    const done = (status, detail) => Object.assign(result, { status }, detail ? { detail } : {});
+
+    switch (action) {
+      case 'restore-agent':
+        if (!fractal) return done('failed', 'not in the registry');
+        if (agents.some(a => a.id === agentId)) return done('skipped', 'agent present');
+        tx.addAgent(this.buildAgentConfig(fractal, fractal.workspace || path.join(this.workspace.baseDir, agentId)));
+        return done('applied');
+
+      case 'restore-binding': {
+        if (!fractal) return done('failed', 'not in the registry');
+        if (fractal.status !== 'active') return done('failed', `fractal is ${fractal.status}`);
+        const binding = bindings.find(b => b.agentId === agentId);
+        if (binding?.match?.peer?.id === fractal.roomId) return done('skipped', 'binding present');
+        if (binding) tx.removeBinding(agentId);
+        tx.addBinding({
+          agentId,
+          match: { channel: 'matrix', peer: { kind: 'channel', id: fractal.roomId } }
+        });
+        return done('applied');
+      }
+
+      case 'restore-group':
+        if (!fractal) return done('failed', 'not in the registry');
+        if (tx.groups()[fractal.roomId]) return done('skipped', 'group config present');
+        tx.setGroupConfig(fractal.roomId, { autoReply: fractal.autoReply !== undefined ? fractal.autoReply : true });
+        return done('applied');
+
+      case 'remove-agent':
+        if (fractal) return done('failed', 'registered fractal, use DELETE /fractal/:id');
+        if (!agents.some(a => a.id === agentId)) return done('skipped', 'agent absent');
+        tx.removeAgent(agentId);
+        return done('applied');
+
+      case 'remove-binding':
+        if (fractal?.status === 'active') return done('failed', 'active fractal, use DELETE or pause');
+        if (!bindings.some(b => b.agentId === agentId)) return done('skipped', 'binding absent');
+        tx.removeBinding(agentId);
+        return done('applied');
+
+      case 'remove-group':
+        if (this.registry.list().some(f => f.roomId === roomId && f.status === 'active')) {
+          return done('failed', 'room belongs to an active fractal');
+        }
+        if (!tx.groups()[roomId]) return done('skipped', 'group config absent');
+        tx.removeGroupConfig(roomId);
+        return done('applied');
+    }
+  }
+
+  /**
+   * Apply one repair outside the gateway config
+   */
+  async applyRepair(result) {
+    const { action, agentId } = result;
+    const fractal = agentId ? this.registry.get(agentId) : null;
+    const done = (status, detail) => Object.assign(result, { status }, detail ? { detail } : {});
+
+    switch (action) {
+      case 'restore-workspace': {
+        if (!fractal) return done('failed', 'not in the registry');
+        if (isDirectory(fractal.workspace || path.join(this.workspace.baseDir, agentId))) {
+          return done('skipped', 'workspace present');
+        }
+        await this.workspace.createWorkspace(agentId, {
+          template: fractal.template,
+          variables: fractal.variables,
+          name: fractal.name,
+          purpose: fractal.purpose,
+          persona: fractal.persona,
+          model: fractal.model,
+          roomId: fractal.roomId
+        });
+        return done('applied');
+      }
+
+      case 'restore-members':
+        if (!fractal) return done('failed', 'not in the registry');
+        await this.matrix.ensureMinimumMembers(fractal.roomId, this.paddingUser);
+        return done('applied');
+
+      case 'unregister':
+        if (!fractal) return done('skipped', 'not in the registry');
+        await this.registry.remove(agentId);
+        return done('applied');
+
+      case 'delete-workspace': {
+        if (fractal) return done('failed', 'registered fractal, use DELETE /fractal/:id?deleteWorkspace=true');
+        const state = await this.readState();
+        const dir = path.join(this.workspace.baseDir, agentId);
+        if (state.agents.some(a => a.id === agentId || a.workspace === dir)) {
+          return done('failed', 'an agent still uses this workspace');
+        }
+        await this.workspace.deleteWorkspace(agentId);
+        return done('applied');
+      }
+
+      case 'rebuild-registry': {
+        // Without agentId: rebuild every candidate (lost or corrupt registry)
+        const candidates = this.rebuildCandidates(await this.readState())
+          .filter(candidate => !agentId || candidate.agentId === agentId);
+
+        if (agentId && fractal) return done('skipped', 'already registered');
+        if (candidates.length === 0) return done('failed', 'no unregistered agent with a room binding');
+
+        const rebuiltAt = new Date().toISOString();
+        for (const candidate of candidates) {
+          await this.registry.add({ ...candidate, createdAt: rebuiltAt, rebuiltAt });
+          logger.info(`Rebuilt registry entry for ${candidate.agentId} from config`);
+        }
+        return done('applied', `registered ${candidates.map(c => c.agentId).join(', ')}`);
+      }
+
+      default:
+        return done('failed', `unknown action, expected one of ${REPAIR_ACTIONS.join(', ')}`);
+    }
+  }
+}
+
+function pass(detail = null, extra = {}) {
+  return { ok: true, ...(detail && { detail }), ...extra };
+}
+
+function fail(detail, extra = {}) {
+  return { ok: false, detail, ...extra };
+}
+
+function isDirectory(dir) {
+  try {
+    return statSync(dir).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+function isInside(dir, baseDir) {
+  if (!dir) return false;
+  const relative = path.relative(baseDir, dir);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+module.exports = Reconciler;
@@ -4,11 +4,13 @@
  */
 
 const { readFileSync, writeFileSync, existsSync } = require('fs');
+const FileLock = require('./lock');
 const { logger } = require('./utils');
 
 class FractalRegistry {
   constructor(dataFile) {
     this.dataFile = dataFile;
+    this.lock = new FileLock(`${dataFile}.lock`);
     this.fractals = this.load();
   }
 
@@ -32,6 +34,14 @@ class FractalRegistry {
     }
   }
 
+  /**
+   * Re-read the registry from disk (picks up external edits and deletions)
+   */
+  reload() {
+    this.fractals = this.load();
+    return this.list();
+  }
+
   /**
    * Save registry to disk
    */
@@ -47,19 +57,40 @@ class FractalRegistry {
   }
 
   /**
-   * Add a fractal to the registry
+   * Apply a change under the registry lock: reload from disk first so
+   * writes from other processes are not lost, then save.
+   * Async, so waiting for another process's lock doesn't block the event loop.
    */
-  add(fractal) {
-    const entry = {
-      ...fractal,
-      status: 'active',
-      createdAt: fractal.createdAt || new Date().toISOString()
-    };
-
-    this.fractals.push(entry);
-    this.save();
+  async mutate(fn) {
+    return this.lock.run(async () => {
+      if (existsSync(this.dataFile)) {
+        this.fractals = JSON.parse(readFileSync(this.dataFile, 'utf8'));
+      }
+
+      const result = fn();
+      this.save();
+      return result;
+    }, 'registry');
+  }
 
-    return entry;
+  /**
+   * Add a fractal to the registry
+   */
+  async add(fractal) {
+    return this.mutate(() => {
+      if (this.get(fractal.agentId)) {
+        throw new Error(`Fractal already registered: ${fractal.agentId}`);
+      }
+
+      const entry = {
+        ...fractal,
+        status: 'active',
+        createdAt: fractal.createdAt || new Date().toISOString()
+      };
+
+      this.fractals.push(entry);
+      return entry;
+    });
   }
 
   /**
@@ -79,32 +110,52 @@ class FractalRegistry {
   /**
    * Update fractal status
    */
-  updateStatus(agentId, status) {
-    const fractal = this.get(agentId);
-    
-    if (!fractal) {
-      throw new Error(`Fractal not found: ${agentId}`);
-    }
+  async updateStatus(agentId, status) {
+    return this.mutate(() => {
+      const fractal = this.get(agentId);
+
+      if (!fractal) {
+        throw new Error(`Fractal not found: ${agentId}`);
+      }
 
-    fractal.status = status;
-    fractal.updatedAt = new Date().toISOString();
-    this.save();
+      fractal.status = status;
+      fractal.updatedAt = new Date().toISOString();
 
-    return fractal;
+      return fractal;
+    });
+  }
+
+  /**
+   * Update fields on a fractal entry
+   */
+  async update(agentId, changes) {
+    return this.mutate(() => {
+      const fractal = this.get(agentId);
+
+      if (!fractal) {
+        throw new Error(`Fractal not found: ${agentId}`);
+      }
+
+      Object.assign(fractal, changes);
+      fractal.updatedAt = new Date().toISOString();
+
+      return fractal;
+    });
   }
 
   /**
    * Remove a fractal from the registry
    */
-  remove(agentId) {
-    const index = this.fractals.findIndex(f => f.agentId === agentId);
-    
-    if (index === -1) {
-      throw new Error(`Fractal not found: ${agentId}`);
-    }
+  async remove(agentId) {
+    await this.mutate(() => {
+      const index = this.fractals.findIndex(f => f.agentId === agentId);
+
+      if (index === -1) {
+        throw new Error(`Fractal not found: ${agentId}`);
+      }
 
-    this.fractals.splice(index, 1);
-    this.save();
+      this.fractals.splice(index, 1);
+    });
   }
 
   /**
@@ -0,0 +1,203 @@
+/**
+ * Resource Quotas
+ * Per-fractal CPU, memory, PID and disk limits, written into the agent's
+ * sandbox.docker config and checked against a host budget summed over
+ * active fractals.
+ *
+ * Sizes are Docker-style: bytes as a number, or a string such as "512m" or "2g".
+ * OpenClaw's sandbox has no storage limit option, so `disk` is only a budget
+ * reservation (and what the workspace status check compares against); it is
+ * not enforced.
+ */
+
+const RESOURCES = ['cpus', 'memory', 'pidsLimit', 'disk'];
+
+const SIZE_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+
+class ResourceBudget {
+  constructor(config = {}, registry) {
+    this.registry = registry;
+    this.defaults = config.defaults || {};
+    this.budget = config.budget || {};
+
+    const problems = [...this.validate(this.defaults, 'resources.defaults'), ...this.validate(this.budget, 'resources.budget')];
+    if (problems.length > 0) {
+      throw new Error(`Invalid resources config: ${problems.join('; ')}`);
+    }
+  }
+
+  /**
+   * Problems with a resources object (null values are allowed: they clear a limit)
+   */
+  validate(resources, label = 'resources') {
+    if (!resources || typeof resources !== 'object' || Array.isArray(resources)) {
+      return [`${label} must be an object`];
+    }
+
+    const errors = [];
+    for (const [key, value] of Object.entries(resources)) {
+      if (!RESOURCES.includes(key)) {
+        errors.push(`${label}.${key} is not a resource (use ${RESOURCES.join(', ')})`);
+      } else if (value !== null && amount(key, value) === null) {
+        errors.push(`${label}.${key} ${describe(key)}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Effective limits for a new fractal: config defaults, then the template's, then the request's.
+   * A null at any level removes the limit.
+   */
+  resolve(requested = {}, templateResources = {}) {
+    return this.merge({ ...this.defaults, ...templateResources }, requested);
+  }
+
+  /**
+   * Apply changes to a fractal's limits (null removes one)
+   */
+  merge(current = {}, changes = {}) {
+    const merged = { ...current, ...changes };
+    for (const key of Object.keys(merged)) {
+      if (merged[key] === null || merged[key] === undefined) delete merged[key];
+    }
+    return merged;
+  }
+
+  /**
+   * Budgeted resources a fractal has no limit for (it could use the whole host)
+   */
+  unlimited(resources = {}) {
+    return RESOURCES.filter(key => this.budget[key] !== undefined && resources[key] === undefined);
+  }
+
+  /**
+   * Summed limits of active fractals (except `exclude`) plus `pending` resources objects
+   */
+  allocated({ exclude = [], pending = [] } = {}) {
+    const totals = Object.fromEntries(RESOURCES.map(key => [key, 0]));
+    const active = this.registry.list()
+      .filter(f => f.status === 'active' && !exclude.includes(f.agentId))
+      .map(f => f.resources || {});
+
+    for (const resources of [...active, ...pending]) {
+      for (const key of RESOURCES) {
+        if (resources[key] !== undefined) totals[key] += amount(key, resources[key]);
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Why adding `additions` (resources objects) would overcommit the budget, as a list
+   */
+  overcommit(additions, options = {}) {
+    const before = this.allocated(options);
+    const after = this.allocated({ ...options, pending: [...(options.pending || []), ...additions] });
+
+    return RESOURCES
+      .filter(key => this.budget[key] !== undefined && after[key] > before[key] && after[key] > amount(key, this.budget[key]))
+      .map(key => `${key}: ${format(key, after[key])} would be allocated, host budget is ${format(key, amount(key, this.budget[key]))} (${format(key, before[key])} in use)`);
+  }
+
+  /**
+   * sandbox.docker with the limits applied; `removed` keys are cleared.
+   * `disk` isn't written (see above); the fsize ulimit earlier versions wrote for it is dropped.
+   */
+  applyToDocker(docker = {}, resources = {}, removed = []) {
+    const result = { ...docker };
+
+    if (resources.cpus !== undefined) result.cpus = resources.cpus;
+    if (resources.memory !== undefined) result.memory = resources.memory;
+    if (resources.pidsLimit !== undefined) result.pidsLimit = resources.pidsLimit;
+
+    for (const key of removed.filter(key => key !== 'disk')) {
+      delete result[key];
+    }
+
+    if ((resources.disk !== undefined || removed.includes('disk')) && result.ulimits?.fsize !== undefined) {
+      const { fsize, ...ulimits } = result.ulimits;
+      if (Object.keys(ulimits).length > 0) result.ulimits = ulimits; else delete result.ulimits;
+    }
+
+    return result;
+  }
+
+  /**
+   * Budget, allocation and per-fractal limits, for GET /resources
+   */
+  report() {
+    const allocated = this.allocated();
+    const summary = {};
+
+    for (const key of RESOURCES) {
+      const budget = this.budget[key] !== undefined ? amount(key, this.budget[key]) : null;
+      summary[key] = {
+        budget: budget !== null ? format(key, budget) : null,
+        allocated: format(key, allocated[key]),
+        available: budget !== null ? format(key, Math.max(budget - allocated[key], 0)) : null
+      };
+    }
+
+    return {
+      resources: summary,
+      fractals: this.registry.list().map(f => ({
+        agentId: f.agentId,
+        status: f.status,
+        counted: f.status === 'active',
+        resources: f.resources || {},
+        unlimited: this.unlimited(f.resources)
+      }))
+    };
+  }
+}
+
+/**
+ * Numeric value of a limit (bytes for sizes), or null if invalid
+ */
+function amount(key, value) {
+  if (key === 'cpus') {
+    return typeof value === 'number' && value > 0 ? value : null;
+  }
+  if (key === 'pidsLimit') {
+    return Number.isInteger(value) && value > 0 ? value : null;
+  }
+  return parseSize(value);
+}
+
+function parseSize(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value > 0 ? value : null;
+  }
+  const match = typeof value === 'string' && value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([bkmgt])?b?$/);
+  if (!match) return null;
+
+  const bytes = Math.floor(Number(match[1]) * SIZE_UNITS[match[2] || 'b']);
+  return bytes > 0 ? bytes : null;
+}
+
+function describe(key) {
+  if (key === 'cpus') return 'must be a positive number';
+  if (key === 'pidsLimit') return 'must be a positive integer';
+  return 'must be a size in bytes or a string such as "512m" or "2g"';
+}
+
+/**
+ * Human-readable amount: sizes in the largest whole-ish unit, counts as is
+ */
+function format(key, value) {
+  if (key === 'cpus') return Math.round(value * 100) / 100;
+  if (key === 'pidsLimit') return value;
+
+  for (const unit of ['t', 'g', 'm', 'k']) {
+    if (value >= SIZE_UNITS[unit]) {
+      return `${Math.round((value / SIZE_UNITS[unit]) * 100) / 100}${unit}`;
+    }
+  }
+  return `${value}b`;
+}
+
+ResourceBudget.RESOURCES = RESOURCES;
+ResourceBudget.parseSize = parseSize;
+
+module.exports = ResourceBudget;
@@ -0,0 +1,289 @@
+/**
+ * Workspace Snapshots
+ * Compressed point-in-time archives (tar.gz) of a fractal's workspace,
+ * memory/ included, with restore and retention pruning.
+ *
+ * Layout: <dir>/<agentId>/<snapshotId>.tar.gz plus <snapshotId>.json metadata.
+ * Archives hold the workspace directory itself (tar -C <baseDir> <agentId>).
+ * Workspaces can contain SSH keys, so everything is created 700/600.
+ *
+ * An agentId can be reused after a delete, so snapshots record the createdAt
+ * of the fractal they were taken of (`fractalCreatedAt`); passed to list, get,
+ * restore and remove, it limits them to that fractal's snapshots.
+ */
+
+const { mkdir, readdir, readFile, writeFile, rename, rm, stat, lstat, access, chmod } = require('fs').promises;
+const { createReadStream } = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const crypto = require('crypto');
+const path = require('path');
+const { logger } = require('./utils');
+
+const execFileAsync = promisify(execFile);
+
+class SnapshotStore {
+  constructor(config = {}, workspace, defaultDataDir) {
+    this.workspace = workspace;
+    this.dir = config.dir || path.join(defaultDataDir, 'fractal-snapshots');
+    this.keep = config.keep || 10;
+    this.maxAgeDays = config.maxAgeDays !== undefined ? config.maxAgeDays : 30;
+    this.archiveOnDelete = config.archiveOnDelete !== false;
+    this.archiveRetentionDays = config.archiveRetentionDays || 90;
+    this.tarCommand = config.tarCommand || 'tar';
+  }
+
+  agentDir(agentId) {
+    return path.join(this.dir, agentId);
+  }
+
+  /**
+   * Archive a fractal's workspace. Returns the snapshot metadata.
+   * `reason`: manual, pre-restore or delete (archives are pruned on their own schedule).
+   */
+  async create(agentId, { reason = 'manual', label = null, prune = true, fractalCreatedAt = null } = {}) {
+    const workspacePath = path.join(this.workspace.baseDir, agentId);
+    await access(workspacePath);
+
+    const id = `snap-${crypto.randomBytes(6).toString('hex')}`;
+    const dir = this.agentDir(agentId);
+    await mkdir(dir, { recursive: true, mode: 0o700 });
+
+    const archive = path.join(dir, `${id}.tar.gz`);
+    const tmpFile = `${archive}.tmp`;
+    logger.info(`Creating ${reason} snapshot ${id} of ${workspacePath}`);
+
+    try {
+      await execFileAsync(this.tarCommand, ['-czf', tmpFile, '-C', this.workspace.baseDir, agentId], { maxBuffer: 10 * 1024 * 1024 });
+      await chmod(tmpFile, 0o600);
+      await rename(tmpFile, archive);
+    } catch (err) {
+      await rm(tmpFile, { force: true });
+      throw new Error(`Snapshot of ${agentId} failed: ${(err.stderr || err.message).trim()}`);
+    }
+
+    const snapshot = {
+      id,
+      agentId,
+      reason,
+      label,
+      fractalCreatedAt,
+      createdAt: new Date().toISOString(),
+      size: (await stat(archive)).size,
+      files: await countFiles(workspacePath),
+      sha256: await sha256File(archive),
+      file: archive
+    };
+    await writeFile(path.join(dir, `${id}.json`), JSON.stringify(snapshot, null, 2), { encoding: 'utf8', mode: 0o600 });
+
+    logger.info(`Snapshot ${id} created: ${snapshot.files} files, ${snapshot.size} bytes`);
+    if (prune) await this.prune(agentId);
+    return snapshot;
+  }
+
+  /**
+   * A fractal's snapshots, newest first. With fractalCreatedAt, only that fractal's:
+   * older snapshots without it count as its own, except delete archives.
+   */
+  async list(agentId, fractalCreatedAt = null) {
+    const dir = this.agentDir(agentId);
+    let entries;
+    try {
+      entries = await readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const snapshots = [];
+    for (const entry of entries.filter(name => /^snap-[a-f0-9]+\.json$/.test(name))) {
+      try {
+        snapshots.push(JSON.parse(await readFile(path.join(dir, entry), 'utf8')));
+      } catch (err) {
+        logger.warn(`Skipping unreadable snapshot metadata ${entry}: ${err.message}`);
+      }
+    }
+    return snapshots
+      .filter(s => !fractalCreatedAt || s.fractalCreatedAt === fractalCreatedAt || (!s.fractalCreatedAt && s.reason !== 'delete'))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async get(agentId, snapshotId, fractalCreatedAt = null) {
+    return (await this.list(agentId, fractalCreatedAt)).find(s => s.id === snapshotId) || null;
+  }
+
+  /**
+   * Replace a fractal's workspace with a snapshot. The current workspace is
+   * snapshotted first (reason `pre-restore`), so a restore can be undone.
+   * Returns { snapshot, backup }.
+   */
+  async restore(agentId, snapshotId, fractalCreatedAt = null) {
+    const snapshot = await this.get(agentId, snapshotId, fractalCreatedAt);
+    if (!snapshot) return null;
+
+    if (await sha256File(snapshot.file) !== snapshot.sha256) {
+      throw new Error(`Snapshot ${snapshotId} is corrupt (checksum mismatch)`);
+    }
+
+    const workspacePath = path.join(this.workspace.baseDir, agentId);
+    const exists = await lstat(workspacePath).then(() => true, () => false);
+    // Pruned after the restore, so retention can't remove the snapshot being restored
+    const backup = exists
+      ? await this.create(agentId, { reason: 'pre-restore', label: `before restoring ${snapshotId}`, prune: false, fractalCreatedAt })
+      : null;
+
+    // Extract next to the workspace first, so a failed extract changes nothing
+    const suffix = crypto.randomBytes(4).toString('hex');
+    const staging = path.join(this.workspace.baseDir, `.restore-${agentId}-${suffix}`);
+    const replaced = path.join(this.workspace.baseDir, `.replaced-${agentId}-${suffix}`);
+
+    await mkdir(staging, { mode: 0o700 });
+    try {
+      await execFileAsync(this.tarCommand, ['-xzf', snapshot.file, '-C', staging, '--no-same-owner'], { maxBuffer: 10 * 1024 * 1024 });
+      await access(path.join(staging, agentId));
+    } catch (err) {
+      await rm(staging, { recursive: true, force: true });
+      throw new Error(`Extracting snapshot ${snapshotId} failed: ${(err.stderr || err.message).trim()}`);
+    }
+
+    this.workspace.unwatchWorkspace(agentId);
+    try {
+      if (exists) {
+        // The directory itself stays: a running sandbox container has it bind-mounted
+        await swapContents(workspacePath, path.join(staging, agentId), replaced);
+      } else {
+        await rename(path.join(staging, agentId), workspacePath);
+      }
+    } finally {
+      await rm(staging, { recursive: true, force: true });
+      await rm(replaced, { recursive: true, force: true });
+    }
+
+    await this.workspace.setOwnership(workspacePath);
+    this.workspace.watchWorkspace(agentId);
+
+    logger.info(`Workspace of ${agentId} restored from ${snapshotId}`);
+    await this.prune(agentId);
+    return { snapshot, backup };
+  }
+
+  /**
+   * Delete one snapshot; returns it, or null if it doesn't exist
+   */
+  async remove(agentId, snapshotId, fractalCreatedAt = null) {
+    const snapshot = await this.get(agentId, snapshotId, fractalCreatedAt);
+    if (!snapshot) return null;
+
+    await rm(snapshot.file, { force: true });
+    await rm(path.join(this.agentDir(agentId), `${snapshotId}.json`), { force: true });
+    logger.info(`Snapshot ${snapshotId} of ${agentId} deleted`);
+    return snapshot;
+  }
+
+  /**
+   * Apply retention to a fractal's snapshots: keep the newest `keep` manual and
+   * pre-restore snapshots, none older than `maxAgeDays`; delete archives after
+   * `archiveRetentionDays`. Returns the removed IDs.
+   */
+  async prune(agentId, now = Date.now()) {
+    const day = 24 * 60 * 60 * 1000;
+    const snapshots = await this.list(agentId);
+    const regular = snapshots.filter(s => s.reason !== 'delete');
+    const archives = snapshots.filter(s => s.reason === 'delete');
+
+    const expired = [
+      ...regular.filter((s, i) => i >= this.keep ||
+        (this.maxAgeDays && now - new Date(s.createdAt).getTime() > this.maxAgeDays * day)),
+      ...archives.filter(s => now - new Date(s.createdAt).getTime() > this.archiveRetentionDays * day)
+    ];
+
+    for (const snapshot of expired) {
+      await this.remove(agentId, snapshot.id);
+    }
+    if (expired.length === snapshots.length && snapshots.length > 0) {
+      await rm(this.agentDir(agentId), { recursive: true, force: true });
+    }
+    return expired.map(s => s.id);
+  }
+
+  /**
+   * Prune every fractal's snapshots, including archives of deleted fractals (on startup)
+   */
+  async pruneAll() {
+    let agentIds = [];
+    try {
+      agentIds = await readdir(this.dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    let removed = 0;
+    for (const agentId of agentIds) {
+      removed += (await this.prune(agentId)).length;
+    }
+    if (removed > 0) {
+      logger.info(`Pruned ${removed} expired snapshot(s)`);
+    }
+    return removed;
+  }
+
+  /**
+   * Snapshot metadata for API responses (without the local file path)
+   */
+  format(snapshot) {
+    const { file, ...rest } = snapshot;
+    return rest;
+  }
+}
+
+/**
+ * Replace target's entries with source's, keeping target (and its inode).
+ * target's entries are moved to `replaced` first and moved back if the swap fails.
+ */
+async function swapContents(target, source, replaced) {
+  await mkdir(replaced, { mode: 0o700 });
+  const moved = [];
+  const added = [];
+  try {
+    for (const name of await readdir(target)) {
+      await rename(path.join(target, name), path.join(replaced, name));
+      moved.push(name);
+    }
+    for (const name of await readdir(source)) {
+      await rename(path.join(source, name), path.join(target, name));
+      added.push(name);
+    }
+  } catch (err) {
+    for (const name of added) {
+      await rm(path.join(target, name), { recursive: true, force: true });
+    }
+    for (const name of moved) {
+      await rename(path.join(replaced, name), path.join(target, name));
+    }
+    throw err;
+  }
+}
+
+async function countFiles(dir) {
+  let count = 0;
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      count += await countFiles(path.join(dir, entry.name));
+    } else if (entry.isFile()) {
+      count++;
+    }
+  }
+  return count;
+}
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+module.exports = SnapshotStore;
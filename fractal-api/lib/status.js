@@ -0,0 +1,141 @@
+/**
+ * Live Fractal Status
+ * Checks whether a fractal actually works, each check with its own pass/fail:
+ *
+ *   room       bot joined, 3+ members (as in reconciliation)
+ *   activity   last bot and human messages; fails when a human has waited
+ *              longer than replyTimeoutMinutes for an auto-reply
+ *   agent, binding, group   gateway config entries (as in reconciliation)
+ *   container  the sandbox container's state, and which daemon runs it
+ *   workspace  present, with its size and file count
+ */
+
+const ResourceBudget = require('./resources');
+
+class StatusChecker {
+  constructor(config = {}, { reconciler, matrix, workspace, docker, paddingUser }) {
+    this.reconciler = reconciler;
+    this.matrix = matrix;
+    this.workspace = workspace;
+    this.docker = docker;
+    this.paddingUser = paddingUser;
+    this.eventLimit = config.eventLimit || 100;
+    this.replyTimeoutMs = (config.replyTimeoutMinutes || 10) * 60 * 1000;
+  }
+
+  /**
+   * Run every check for a registry entry; checks that error fail on their own
+   */
+  async check(fractal, now = Date.now()) {
+    const [room, activity, gateway, container, workspace] = await Promise.all([
+      this.reconciler.checkRoom(fractal.roomId),
+      this.guard(() => this.checkActivity(fractal, now)),
+      this.checkGateway(fractal),
+      this.guard(() => this.checkContainer(fractal)),
+      this.guard(() => this.checkWorkspace(fractal))
+    ]);
+
+    const checks = { room, activity, ...gateway, container, workspace };
+
+    return {
+      agentId: fractal.agentId,
+      roomId: fractal.roomId,
+      status: fractal.status,
+      ok: Object.values(checks).every(check => check.ok),
+      checkedAt: new Date(now).toISOString(),
+      checks
+    };
+  }
+
+  async guard(fn) {
+    try {
+      return await fn();
+    } catch (err) {
+      return fail(`check failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Last message from the bot and from a human (anyone but the bot and padding user)
+   */
+  async checkActivity(fractal, now) {
+    const messages = (await this.matrix.getRecentEvents(fractal.roomId, this.eventLimit))
+      .filter(event => event.type === 'm.room.message');
+
+    const lastBot = messages.find(event => event.sender === this.matrix.botUserId);
+    const lastHuman = messages.find(event => event.sender !== this.matrix.botUserId && event.sender !== this.paddingUser);
+    const activity = {
+      lastBotMessage: lastBot ? new Date(lastBot.origin_server_ts).toISOString() : null,
+      lastHumanMessage: lastHuman ? new Date(lastHuman.origin_server_ts).toISOString() : null,
+      lastHumanSender: lastHuman?.sender || null
+    };
+
+    if (!lastHuman) {
+      return pass(`no human messages in the last ${this.eventLimit} events`, activity);
+    }
+    const unanswered = !lastBot || lastBot.origin_server_ts < lastHuman.origin_server_ts;
+    const waitingMs = now - lastHuman.origin_server_ts;
+    if (fractal.status === 'active' && fractal.autoReply !== false && unanswered && waitingMs > this.replyTimeoutMs) {
+      return fail(`last human message unanswered for ${Math.round(waitingMs / 60000)} min`, activity);
+    }
+    return pass(null, activity);
+  }
+
+  /**
+   * agents.list entry, binding and group config, judged like reconciliation
+   */
+  async checkGateway(fractal) {
+    try {
+      const state = await this.reconciler.readState();
+      const { checks } = await this.reconciler.checkFractal(fractal, state, false);
+      return { agent: checks.agent, binding: checks.binding, group: checks.group };
+    } catch (err) {
+      const unreadable = fail(`gateway config unreadable: ${err.message}`);
+      return { agent: unreadable, binding: unreadable, group: unreadable };
+    }
+  }
+
+  /**
+   * The newest sandbox container on any daemon: running, or absent (OpenClaw
+   * starts it on demand). Absent only passes if every daemon answered.
+   */
+  async checkContainer(fractal) {
+    const { containers: [container], errors } = await this.docker.findContainers(fractal.agentId);
+
+    if (!container) {
+      return errors.length > 0
+        ? fail(`no sandbox container found, ${errors.map(e => e.error).join('; ')}`, { container: null })
+        : pass('no sandbox container (started on the next agent run)', { container: null });
+    }
+    return container.state === 'running' ? pass(null, { container }) : fail(`container is ${container.state}`, { container });
+  }
+
+  /**
+   * Workspace size and file count; fails when missing or past the fractal's disk reservation
+   */
+  async checkWorkspace(fractal) {
+    let usage;
+    try {
+      usage = await this.workspace.usage(fractal.agentId);
+    } catch (err) {
+      if (err.code === 'ENOENT') return fail('workspace missing');
+      throw err;
+    }
+
+    const disk = fractal.resources?.disk !== undefined ? ResourceBudget.parseSize(fractal.resources.disk) : null;
+    const extra = { size: usage.size, files: usage.files, ...(disk && { disk: fractal.resources.disk }) };
+    return disk && usage.size > disk
+      ? fail(`uses ${usage.size} bytes, more than its ${fractal.resources.disk} disk reservation`, extra)
+      : pass(null, extra);
+  }
+}
+
+function pass(detail = null, extra = {}) {
+  return { ok: true, ...(detail && { detail }), ...extra };
+}
+
+function fail(detail, extra = {}) {
+  return { ok: false, detail, ...extra };
+}
+
+module.exports = StatusChecker;
@@ -0,0 +1,195 @@
+/**
+ * Template Library
+ * Named directories of persona files plus defaults (model, sandbox, ...)
+ *
+ * templates/<name>/template.json   defaults and description
+ * templates/<name>/*.md            persona files with {{variable}} substitution
+ *
+ * Files a template doesn't provide come from the default template.
+ */
+
+const { readFileSync, readdirSync, existsSync, statSync } = require('fs');
+const path = require('path');
+const { logger, HttpError } = require('./utils');
+
+// Files every workspace needs (see docs/fractal-agent-creation-guide.md)
+const REQUIRED_FILES = ['AGENTS.md', 'SOUL.md', 'IDENTITY.md', 'TOOLS.md', 'USER.md', 'HEARTBEAT.md'];
+
+// Fields a template may default; request values win
+const DEFAULT_FIELDS = ['model', 'purpose', 'persona', 'autoReply'];
+
+const NAME_PATTERN = /^[a-z0-9-]+$/;
+
+class TemplateLibrary {
+  constructor(config = {}) {
+    this.dir = config.dir || path.join(__dirname, '..', 'templates');
+    this.defaultTemplate = config.default || 'default';
+  }
+
+  /**
+   * List all templates (read from disk each time so edits apply without a restart).
+   * A template with an unreadable template.json is logged and left out.
+   */
+  list() {
+    if (!existsSync(this.dir)) {
+      logger.warn(`Template directory not found: ${this.dir}`);
+      return [];
+    }
+
+    return readdirSync(this.dir)
+      .filter(name => NAME_PATTERN.test(name) && statSync(path.join(this.dir, name)).isDirectory())
+      .sort()
+      .map(name => {
+        try {
+          return this.get(name);
+        } catch (err) {
+          logger.error(err.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Load one template, or null if it doesn't exist.
+   * Throws a 500 HttpError if its template.json can't be parsed.
+   */
+  get(name) {
+    if (!NAME_PATTERN.test(name || '')) return null;
+
+    const templateDir = path.join(this.dir, name);
+    const manifestFile = path.join(templateDir, 'template.json');
+    if (!existsSync(manifestFile)) return null;
+
+    let manifest;
+    try {
+      manifest = JSON.parse(readFileSync(manifestFile, 'utf8'));
+    } catch (err) {
+      throw new HttpError(500, `Template '${name}' has an invalid template.json: ${err.message}`);
+    }
+
+    return {
+      name,
+      description: manifest.description || '',
+      model: manifest.model || null,
+      purpose: manifest.purpose || null,
+      persona: manifest.persona || null,
+      autoReply: manifest.autoReply !== undefined ? manifest.autoReply : null,
+      sandbox: manifest.sandbox || null,
+      resources: manifest.resources || null,
+      variables: manifest.variables || {},
+      files: readdirSync(templateDir).filter(file => file.endsWith('.md')).sort(),
+      default: name === this.defaultTemplate
+    };
+  }
+
+  /**
+   * Fill create params with the template's defaults.
+   * Returns new params with `template` set to the resolved name.
+   */
+  apply(params) {
+    const name = params.template || this.defaultTemplate;
+    const template = this.get(name);
+
+    if (!template) {
+      throw new Error(`Template '${name}' not found`);
+    }
+
+    // Defaults may reference variables ("Research {{topic}}")
+    const vars = this.variables(template, params);
+    const resolved = { ...params, template: name };
+    for (const field of DEFAULT_FIELDS) {
+      if (resolved[field] === undefined && template[field] !== null) {
+        const value = template[field];
+        resolved[field] = typeof value === 'string' ? substitute(value, vars) : value;
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Sandbox settings for a template, merged over the base settings
+   */
+  sandbox(name, base) {
+    const overrides = this.get(name || this.defaultTemplate)?.sandbox;
+    if (!overrides) return base;
+
+    return {
+      ...base,
+      ...overrides,
+      docker: { ...base.docker, ...overrides.docker }
+    };
+  }
+
+  /**
+   * Render a template's persona files.
+   * Returns { 'AGENTS.md': '...', ... }, falling back to the default template per file.
+   * `only` limits rendering to the listed files.
+   */
+  render(name, metadata, only = null) {
+    const template = this.get(name || this.defaultTemplate);
+    if (!template) {
+      throw new Error(`Template '${name}' not found`);
+    }
+
+    const fallback = this.get(this.defaultTemplate);
+    const vars = this.variables(template, metadata);
+    const fileNames = [...new Set([...REQUIRED_FILES, ...template.files])]
+      .filter(file => !only || only.includes(file));
+    const files = {};
+
+    for (const file of fileNames) {
+      const source = [template, fallback].find(t => t && t.files.includes(file));
+      if (!source) {
+        throw new Error(`Template '${template.name}' has no ${file} and the default template doesn't either`);
+      }
+      files[file] = substitute(readFileSync(path.join(this.dir, source.name, file), 'utf8'), vars);
+    }
+
+    return files;
+  }
+
+  /**
+   * Substitution variables: template variables, then request variables, then built-ins
+   */
+  variables(template, metadata) {
+    const builtins = { name: metadata.name, agentId: metadata.agentId };
+    const custom = { ...template.variables, ...metadata.variables };
+
+    // Custom variables may themselves reference built-ins ("{{name}}")
+    for (const [key, value] of Object.entries(custom)) {
+      custom[key] = substitute(String(value), builtins);
+    }
+
+    const vars = {
+      ...custom,
+      name: metadata.name,
+      agentId: metadata.agentId,
+      purpose: metadata.purpose,
+      model: metadata.model,
+      roomId: metadata.roomId,
+      users: (metadata.inviteUsers || []).join(', '),
+      template: template.name,
+      date: new Date().toISOString().slice(0, 10)
+    };
+
+    // The persona itself may reference variables ("You are {{name}}, ...")
+    vars.persona = metadata.persona ? substitute(metadata.persona, vars) : '';
+
+    return vars;
+  }
+}
+
+/**
+ * Replace {{name}} and {{name|fallback}}. Unknown names without a fallback are left as-is.
+ */
+function substitute(text, vars) {
+  return text.replace(/\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g, (match, key, fallback) => {
+    const value = vars[key];
+    if (value !== undefined && value !== null && value !== '') return String(value);
+    return fallback !== undefined ? fallback : (key in vars ? '' : match);
+  });
+}
+
+module.exports = TemplateLibrary;
@@ -0,0 +1,245 @@
+/**
+ * API Token Store
+ * Named, scoped bearer tokens. Only a SHA-256 hash of each token is stored;
+ * the plaintext is returned once, when the token is issued or rotated.
+ * A token bound to a fractal (fractalId) may only act on that fractal's subtree.
+ *
+ * Token format: frt_<id>_<secret>, so a token can be looked up by ID
+ * and then checked with a constant-time hash comparison.
+ */
+
+const { readFileSync, writeFileSync, renameSync, existsSync } = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { logger } = require('./utils');
+
+const SCOPES = ['fractal:read', 'fractal:create', 'fractal:delete', 'admin'];
+
+const TOKEN_PATTERN = /^frt_([a-f0-9]{8})_([A-Za-z0-9_-]+)$/;
+
+// lastUsedAt is written to disk at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class TokenStore {
+  constructor(config = {}, defaultDataDir) {
+    this.dataFile = config.tokenFile || path.join(defaultDataDir, 'fractal-tokens.json');
+    this.defaultTtlDays = config.defaultTtlDays || null;
+
+    // Static secret from config.json: a bootstrap admin token for issuing the first tokens
+    this.staticSecretHash = config.secret ? hash(config.secret) : null;
+
+    this.tokens = this.load();
+  }
+
+  /**
+   * Load tokens from disk
+   */
+  load() {
+    if (!existsSync(this.dataFile)) {
+      logger.info(`Token file not found, creating: ${this.dataFile}`);
+      return [];
+    }
+
+    try {
+      const tokens = JSON.parse(readFileSync(this.dataFile, 'utf8'));
+      logger.info(`Loaded ${tokens.length} API tokens`);
+      return tokens;
+    } catch (err) {
+      logger.error(`Failed to load tokens: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Save tokens to disk (temp file, then rename; mode 600)
+   */
+  save() {
+    const tmpFile = `${this.dataFile}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify(this.tokens, null, 2), { encoding: 'utf8', mode: 0o600 });
+    renameSync(tmpFile, this.dataFile);
+  }
+
+  /**
+   * Token record without hashes, for API responses
+   */
+  format(token) {
+    const { hash: _hash, previousHash, ...rest } = token;
+    return { ...rest, status: this.status(token) };
+  }
+
+  status(token, now = Date.now()) {
+    if (token.revokedAt) return 'revoked';
+    if (token.expiresAt && new Date(token.expiresAt).getTime() <= now) return 'expired';
+    return 'active';
+  }
+
+  get(id) {
+    return this.tokens.find(t => t.id === id);
+  }
+
+  list() {
+    return this.tokens;
+  }
+
+  /**
+   * Issue a new token. Returns { token (record), secret (plaintext, shown once) }
+   */
+  issue({ name, scopes, fractalId = null, expiresAt = null, expiresInDays = null, createdBy = null }) {
+    if (this.tokens.some(t => t.name === name && this.status(t) === 'active')) {
+      throw new Error(`An active token named '${name}' already exists`);
+    }
+
+    const id = crypto.randomBytes(4).toString('hex');
+    const secret = generate(id);
+    const token = {
+      id,
+      name,
+      scopes,
+      fractalId,
+      hash: hash(secret),
+      createdAt: new Date().toISOString(),
+      createdBy,
+      expiresAt: this.expiry(expiresAt, expiresInDays),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    this.tokens.push(token);
+    this.save();
+
+    logger.info(`Token ${id} (${name}) issued with scopes ${scopes.join(', ')}${fractalId ? ` for the subtree of ${fractalId}` : ''}`);
+    return { token, secret };
+  }
+
+  /**
+   * Replace a token's secret. The old secret keeps working for `graceSeconds`
+   * so clients can switch over. Returns { token, secret } or null.
+   */
+  rotate(id, { graceSeconds = 0, expiresAt, expiresInDays } = {}) {
+    const token = this.get(id);
+    if (!token) return null;
+    if (token.revokedAt) {
+      throw new Error(`Token ${id} is revoked`);
+    }
+
+    const secret = generate(id);
+    const now = Date.now();
+
+    if (graceSeconds > 0) {
+      token.previousHash = token.hash;
+      token.previousExpiresAt = new Date(now + graceSeconds * 1000).toISOString();
+    } else {
+      delete token.previousHash;
+      delete token.previousExpiresAt;
+    }
+
+    token.hash = hash(secret);
+    token.rotatedAt = new Date(now).toISOString();
+    if (expiresAt !== undefined || expiresInDays !== undefined) {
+      token.expiresAt = this.expiry(expiresAt, expiresInDays);
+    }
+    this.save();
+
+    logger.info(`Token ${id} (${token.name}) rotated${graceSeconds > 0 ? `, old secret valid for ${graceSeconds}s` : ''}`);
+    return { token, secret };
+  }
+
+  /**
+   * Revoke a token (the record is kept for reference)
+   */
+  revoke(id) {
+    const token = this.get(id);
+    if (!token) return null;
+
+    if (!token.revokedAt) {
+      token.revokedAt = new Date().toISOString();
+      delete token.previousHash;
+      delete token.previousExpiresAt;
+      this.save();
+      logger.info(`Token ${id} (${token.name}) revoked`);
+    }
+    return token;
+  }
+
+  /**
+   * Revoke every token bound to a fractal (it is gone; a later fractal may reuse its ID).
+   * Returns the revoked token IDs.
+   */
+  revokeForFractal(fractalId) {
+    const bound = this.tokens.filter(t => t.fractalId === fractalId && !t.revokedAt);
+    bound.forEach(token => this.revoke(token.id));
+    return bound.map(token => token.id);
+  }
+
+  /**
+   * Resolve a presented bearer token to { id, name, scopes, fractalId }, or null.
+   * Revoked and expired tokens resolve to null.
+   */
+  authenticate(presented) {
+    if (!presented) return null;
+
+    const presentedHash = hash(presented);
+    const match = presented.match(TOKEN_PATTERN);
+
+    if (!match) {
+      if (this.staticSecretHash && safeEqual(presentedHash, this.staticSecretHash)) {
+        return { id: 'config', name: 'config.auth.secret', scopes: ['admin'], fractalId: null };
+      }
+      return null;
+    }
+
+    const token = this.get(match[1]);
+    if (!token || this.status(token) !== 'active') return null;
+
+    const now = Date.now();
+    const current = safeEqual(presentedHash, token.hash);
+    const previous = token.previousHash && new Date(token.previousExpiresAt).getTime() > now &&
+      safeEqual(presentedHash, token.previousHash);
+    if (!current && !previous) return null;
+
+    if (!token.lastUsedAt || now - new Date(token.lastUsedAt).getTime() >= LAST_USED_RESOLUTION_MS) {
+      token.lastUsedAt = new Date(now).toISOString();
+      try {
+        this.save();
+      } catch (err) {
+        logger.warn(`Could not record token use: ${err.message}`);
+      }
+    }
+
+    return { id: token.id, name: token.name, scopes: token.scopes, fractalId: token.fractalId || null };
+  }
+
+  /**
+   * Whether a caller has a scope (admin implies every scope)
+   */
+  static hasScope(auth, scope) {
+    return Boolean(auth) && (auth.scopes.includes('admin') || auth.scopes.includes(scope));
+  }
+
+  expiry(expiresAt, expiresInDays) {
+    if (expiresAt) return new Date(expiresAt).toISOString();
+    const days = expiresInDays || this.defaultTtlDays;
+    return days ? new Date(Date.now() + days * 24 * 3600 * 1000).toISOString() : null;
+  }
+}
+
+function generate(id) {
+  return `frt_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex digests
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+TokenStore.SCOPES = SCOPES;
+
+module.exports = TokenStore;
@@ -45,6 +45,69 @@ const logger = {
   }
 };
 
+/**
+ * Error carrying an HTTP status, thrown from request handlers
+ */
+class HttpError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Read and parse a JSON request body; bodies over maxBytes are rejected with 413 before parsing,
+ * anything but a JSON object (null, arrays, scalars) with 400
+ */
+function readJSONBody(req, maxBytes = Infinity) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+    const tooLarge = new HttpError(413, `Request body exceeds ${maxBytes} bytes`);
+
+    // Over the limit, the rest is still read (and dropped) so the 413 can be sent
+    if (Number(req.headers['content-length']) > maxBytes) {
+      req.resume();
+      return reject(tooLarge);
+    }
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        body = '';
+        return reject(tooLarge);
+      }
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (size > maxBytes) {
+        return;
+      }
+
+      if (!body) {
+        return resolve({});
+      }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(body);
+      } catch (err) {
+        return reject(new HttpError(400, 'Invalid JSON body', err.message));
+      }
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return reject(new HttpError(400, 'JSON body must be an object'));
+      }
+
+      // Kept on the request for the audit log
+      req.body = parsed;
+      resolve(parsed);
+    });
+    req.on('error', reject);
+  });
+}
+
 /**
  * Send JSON response
  */
@@ -66,11 +129,14 @@ function respondError(res, status, message, details = null) {
     error.details = details;
   }
 
+  res.errorMessage = message;
   respondJSON(res, status, error);
 }
 
 module.exports = {
   logger,
+  HttpError,
+  readJSONBody,
   respondJSON,
   respondError
 };
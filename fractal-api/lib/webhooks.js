@@ -0,0 +1,379 @@
+/**
+ * Outbound Webhooks
+ * Subscriptions receive HMAC-signed JSON events for fractal lifecycle changes.
+ * Deliveries are persisted and retried with exponential backoff, so pending
+ * ones survive a restart.
+ */
+
+const { readFileSync, writeFileSync, renameSync, existsSync } = require('fs');
+const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const Metrics = require('./metrics');
+const { logger } = require('./utils');
+
+const EVENTS = [
+  'fractal.created',
+  'fractal.deleted',
+  'fractal.rolled_back',
+  'fractal.paused',
+  'fractal.resumed'
+];
+
+// Sent by POST /webhooks/:id/test only, never by wildcard subscriptions
+const TEST_EVENT = 'webhook.test';
+
+class WebhookDispatcher {
+  constructor(config = {}, defaultDataDir, metrics = new Metrics()) {
+    this.dataFile = config.dataFile || path.join(defaultDataDir, 'fractal-webhooks.json');
+    this.deliveryFile = config.deliveryFile || path.join(defaultDataDir, 'fractal-webhook-deliveries.json');
+    this.maxAttempts = config.maxAttempts || 6;
+    this.backoffSeconds = config.backoffSeconds || 10;
+    this.maxBackoffSeconds = config.maxBackoffSeconds || 3600;
+    this.timeoutMs = (config.timeoutSeconds || 10) * 1000;
+    this.retentionDays = config.deliveryRetentionDays || 7;
+
+    this.subscriptions = this.load(this.dataFile, 'webhook subscriptions');
+    this.deliveries = this.load(this.deliveryFile, 'webhook deliveries');
+    this.inFlight = new Set();
+
+    this.attempts = metrics.counter(
+      'fractal_webhook_attempts_total',
+      'Webhook delivery attempts by event and outcome',
+      ['event', 'outcome']
+    );
+  }
+
+  /**
+   * Load a JSON array from disk (empty if missing)
+   */
+  load(file, label) {
+    if (!existsSync(file)) {
+      logger.info(`No ${label} file, creating: ${file}`);
+      return [];
+    }
+
+    try {
+      const items = JSON.parse(readFileSync(file, 'utf8'));
+      logger.info(`Loaded ${items.length} ${label}`);
+      return items;
+    } catch (err) {
+      logger.error(`Failed to load ${label}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Write a JSON array (temp file, then rename over the original; mode 600, it holds secrets)
+   */
+  write(file, items) {
+    const tmpFile = `${file}.tmp`;
+    writeFileSync(tmpFile, JSON.stringify(items, null, 2), { encoding: 'utf8', mode: 0o600 });
+    renameSync(tmpFile, file);
+  }
+
+  saveSubscriptions() {
+    this.write(this.dataFile, this.subscriptions);
+  }
+
+  /**
+   * Save the delivery log, dropping finished deliveries past retention
+   */
+  saveDeliveries() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 3600 * 1000;
+    this.deliveries = this.deliveries.filter(
+      d => d.status === 'pending' || new Date(d.finishedAt).getTime() >= cutoff
+    );
+    this.write(this.deliveryFile, this.deliveries);
+  }
+
+  /**
+   * Subscription without its secret, for API responses
+   */
+  format(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+  }
+
+  get(id) {
+    return this.subscriptions.find(s => s.id === id);
+  }
+
+  list() {
+    return this.subscriptions;
+  }
+
+  /**
+   * Add a subscription. Returns it with its secret (generated unless given),
+   * which is only ever returned here and on rotation.
+   */
+  subscribe({ url, events = ['*'], secret = null, description = '' }) {
+    const subscription = {
+      id: `wh-${crypto.randomBytes(4).toString('hex')}`,
+      url,
+      events,
+      description,
+      enabled: true,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+
+    this.subscriptions.push(subscription);
+    this.saveSubscriptions();
+
+    logger.info(`Webhook ${subscription.id} subscribed to ${events.join(', ')}: ${url}`);
+    return subscription;
+  }
+
+  /**
+   * Update url, events, description or enabled; `rotateSecret` issues a new secret
+   */
+  update(id, changes) {
+    const subscription = this.get(id);
+    if (!subscription) return null;
+
+    for (const field of ['url', 'events', 'description', 'enabled']) {
+      if (changes[field] !== undefined) subscription[field] = changes[field];
+    }
+    if (changes.secret) {
+      subscription.secret = changes.secret;
+    } else if (changes.rotateSecret) {
+      subscription.secret = crypto.randomBytes(32).toString('hex');
+    }
+    subscription.updatedAt = new Date().toISOString();
+
+    this.saveSubscriptions();
+    logger.info(`Webhook ${id} updated`);
+    return subscription;
+  }
+
+  /**
+   * Remove a subscription; its pending deliveries are abandoned
+   */
+  unsubscribe(id) {
+    const subscription = this.get(id);
+    if (!subscription) return null;
+
+    this.subscriptions = this.subscriptions.filter(s => s.id !== id);
+    this.saveSubscriptions();
+
+    const now = new Date().toISOString();
+    for (const delivery of this.deliveries.filter(d => d.subscriptionId === id && d.status === 'pending')) {
+      delivery.status = 'abandoned';
+      delivery.finishedAt = now;
+    }
+    this.saveDeliveries();
+
+    logger.info(`Webhook ${id} removed`);
+    return subscription;
+  }
+
+  /**
+   * Queue an event for every matching subscription and attempt delivery right away.
+   * Never throws: a webhook problem must not fail the operation that emitted it.
+   */
+  emit(event, data) {
+    try {
+      const payload = {
+        id: `evt-${crypto.randomBytes(6).toString('hex')}`,
+        event,
+        createdAt: new Date().toISOString(),
+        data
+      };
+
+      const targets = this.subscriptions.filter(s =>
+        s.enabled && (s.events.includes(event) || (s.events.includes('*') && event !== TEST_EVENT))
+      );
+      if (targets.length === 0) return [];
+
+      const deliveries = targets.map(subscription => this.queue(subscription, payload));
+      this.saveDeliveries();
+
+      logger.info(`Webhook event ${event} (${payload.id}) queued for ${deliveries.length} subscription(s)`);
+      deliveries.forEach(delivery => this.attempt(delivery));
+      return deliveries;
+    } catch (err) {
+      logger.error(`Failed to queue webhook event ${event}:`, err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Send a test event to one subscription
+   */
+  test(id) {
+    const subscription = this.get(id);
+    if (!subscription) return null;
+
+    const payload = {
+      id: `evt-${crypto.randomBytes(6).toString('hex')}`,
+      event: TEST_EVENT,
+      createdAt: new Date().toISOString(),
+      data: { subscriptionId: id }
+    };
+    const delivery = this.queue(subscription, payload);
+    this.saveDeliveries();
+    this.attempt(delivery);
+    return delivery;
+  }
+
+  queue(subscription, payload) {
+    const delivery = {
+      id: `dlv-${crypto.randomBytes(6).toString('hex')}`,
+      subscriptionId: subscription.id,
+      event: payload.event,
+      eventId: payload.id,
+      url: subscription.url,
+      payload,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString()
+    };
+    this.deliveries.push(delivery);
+    return delivery;
+  }
+
+  /**
+   * Deliveries, newest first (optional subscription and status filters)
+   */
+  listDeliveries({ subscriptionId = null, status = null, limit = 50 } = {}) {
+    return this.deliveries
+      .filter(d => (!subscriptionId || d.subscriptionId === subscriptionId) && (!status || d.status === status))
+      .slice(-limit)
+      .reverse();
+  }
+
+  getDelivery(id) {
+    return this.deliveries.find(d => d.id === id);
+  }
+
+  /**
+   * Queue a finished delivery again with a fresh attempt budget
+   */
+  redeliver(id) {
+    const delivery = this.getDelivery(id);
+    if (!delivery) return null;
+    if (delivery.status === 'pending') return delivery;
+
+    delivery.status = 'pending';
+    delivery.attempts = [];
+    delivery.nextAttemptAt = new Date().toISOString();
+    delete delivery.finishedAt;
+    this.saveDeliveries();
+
+    this.attempt(delivery);
+    return delivery;
+  }
+
+  /**
+   * Attempt every pending delivery whose backoff has elapsed (run on a timer)
+   */
+  processDue() {
+    const now = Date.now();
+    const due = this.deliveries.filter(
+      d => d.status === 'pending' && new Date(d.nextAttemptAt).getTime() <= now
+    );
+    due.forEach(delivery => this.attempt(delivery));
+  }
+
+  /**
+   * One delivery attempt; schedules the next one with backoff on failure.
+   * Never rejects: callers fire and forget it.
+   */
+  async attempt(delivery) {
+    try {
+      if (this.inFlight.has(delivery.id)) return;
+
+      const subscription = this.get(delivery.subscriptionId);
+      if (!subscription) {
+        delivery.status = 'abandoned';
+        delivery.finishedAt = new Date().toISOString();
+        this.saveDeliveries();
+        return;
+      }
+
+      this.inFlight.add(delivery.id);
+      const startedAt = new Date().toISOString();
+      let result;
+
+      try {
+        const statusCode = await this.send(subscription, delivery);
+        result = { ok: statusCode >= 200 && statusCode < 300, statusCode };
+      } catch (err) {
+        result = { ok: false, error: err.message };
+      } finally {
+        this.inFlight.delete(delivery.id);
+      }
+
+      delivery.attempts.push({ at: startedAt, ...result });
+
+      if (result.ok) {
+        delivery.status = 'delivered';
+        delivery.finishedAt = new Date().toISOString();
+        this.attempts.inc({ event: delivery.event, outcome: 'delivered' });
+        logger.info(`Webhook ${delivery.id} (${delivery.event}) delivered to ${delivery.url}`);
+      } else if (delivery.attempts.length >= this.maxAttempts) {
+        delivery.status = 'failed';
+        delivery.finishedAt = new Date().toISOString();
+        this.attempts.inc({ event: delivery.event, outcome: 'failed' });
+        logger.error(`Webhook ${delivery.id} (${delivery.event}) to ${delivery.url} failed after ${delivery.attempts.length} attempts`);
+      } else {
+        const delay = Math.min(this.backoffSeconds * 2 ** (delivery.attempts.length - 1), this.maxBackoffSeconds);
+        delivery.nextAttemptAt = new Date(Date.now() + delay * 1000).toISOString();
+        this.attempts.inc({ event: delivery.event, outcome: 'retry' });
+        logger.warn(`Webhook ${delivery.id} to ${delivery.url} failed (${result.statusCode || result.error}), retrying in ${delay}s`);
+      }
+
+      this.saveDeliveries();
+    } catch (err) {
+      logger.error(`Webhook ${delivery.id} attempt could not be recorded:`, err.message);
+    }
+  }
+
+  /**
+   * POST the signed payload; resolves with the HTTP status code
+   */
+  send(subscription, delivery) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(subscription.url);
+      const client = url.protocol === 'https:' ? https : http;
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      const req = client.request(url, {
+        method: 'POST',
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'fractal-api-webhooks/1.0',
+          'X-Fractal-Event': delivery.event,
+          'X-Fractal-Delivery': delivery.id,
+          'X-Fractal-Timestamp': String(timestamp),
+          'X-Fractal-Signature': `sha256=${sign(subscription.secret, timestamp, body)}`
+        }
+      }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`Timed out after ${this.timeoutMs}ms`)));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", hex encoded
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+WebhookDispatcher.EVENTS = EVENTS;
+WebhookDispatcher.sign = sign;
+
+module.exports = WebhookDispatcher;
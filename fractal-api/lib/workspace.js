@@ -1,21 +1,68 @@
 /**
  * Workspace Management
  * Creates and manages agent workspace directories
+ * Persona files are rendered from the template library (lib/templates.js)
+ *
+ * Workspaces are kept in one ownership and mode layout (default 996:1100,
+ * files 664, directories 775, .ssh 700/600). The sandbox write tool creates
+ * files 0600 via mktemp (docs/sandbox-permission-drift-fix.md), so watched
+ * workspaces are repaired as changes appear, plus a periodic sweep for
+ * changes inotify doesn't see (e.g. writes over sshfs).
  */
 
-const { mkdir, writeFile, rm, access, chown } = require('fs').promises;
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { mkdir, writeFile, rm, access, lstat, readdir, open, readlink, realpath, cp } = require('fs').promises;
+const { watch, constants } = require('fs');
 const path = require('path');
 const { logger } = require('./utils');
 
-const execAsync = promisify(exec);
+// Files kept private wherever they are (like .ssh contents)
+const PRIVATE_FILES = /\.(key|pem)$/;
 
 class WorkspaceManager {
-  constructor(config) {
+  constructor(config, templates) {
+    this.templates = templates;
     this.baseDir = config.baseDir || '/var/lib/clawdbot/workspace/agents';
-    this.owner = config.owner || 'clawdbot:clawdbot';
-    this.permissions = config.permissions || '775';
+
+    const layout = { ...config.layout };
+    this.migrateLegacyKeys(config, layout);
+    const [uid, gid] = String(layout.owner || '996:1100').split(':').map(Number);
+    this.layout = {
+      uid,
+      gid,
+      fileMode: parseMode(layout.fileMode || '664'),
+      dirMode: parseMode(layout.dirMode || '775'),
+      privateFileMode: parseMode(layout.privateFileMode || '600'),
+      privateDirMode: parseMode(layout.privateDirMode || '700')
+    };
+    if (!Number.isInteger(uid) || !Number.isInteger(gid) || Object.values(this.layout).some(Number.isNaN)) {
+      throw new Error('Invalid workspace.layout: owner must be "uid:gid" and modes octal strings');
+    }
+
+    this.watchEnabled = config.watch !== false;
+    this.debounceMs = config.repairDebounceMs || 2000;
+    this.sweepIntervalMs = (config.sweepIntervalMinutes || 15) * 60 * 1000;
+    this.watchers = new Map();
+    this.lastRepair = new Map();
+    this.sweepTimer = null;
+    this.listAgentIds = () => [];
+  }
+
+  /**
+   * The pre-layout owner/permissions keys (chown -R/chmod -R): a numeric owner
+   * still applies when layout names none, anything else is ignored with a warning
+   */
+  migrateLegacyKeys(config, layout) {
+    if (config.owner !== undefined) {
+      if (layout.owner === undefined && /^\d+:\d+$/.test(String(config.owner))) {
+        layout.owner = config.owner;
+        logger.warn(`workspace.owner is deprecated, using it as workspace.layout.owner (${config.owner})`);
+      } else {
+        logger.warn(`workspace.owner (${config.owner}) is deprecated and ignored: set workspace.layout.owner as numeric "uid:gid"`);
+      }
+    }
+    if (config.permissions !== undefined) {
+      logger.warn(`workspace.permissions (${config.permissions}) is deprecated and ignored: modes come from workspace.layout`);
+    }
   }
 
   /**
@@ -30,26 +77,70 @@ class WorkspaceManager {
     await mkdir(workspacePath, { recursive: true });
     await mkdir(path.join(workspacePath, 'memory'), { recursive: true });
 
-    // Create AGENTS.md
-    const agentsMd = this.generateAgentsMd(metadata);
-    await writeFile(path.join(workspacePath, 'AGENTS.md'), agentsMd);
+    // Persona files (AGENTS.md, SOUL.md, IDENTITY.md, TOOLS.md, USER.md, HEARTBEAT.md)
+    const files = this.templates.render(metadata.template, { ...metadata, agentId });
+    for (const [file, content] of Object.entries(files)) {
+      await writeFile(path.join(workspacePath, file), content);
+    }
+
+    // Set ownership and permissions
+    await this.setOwnership(workspacePath);
+    this.watchWorkspace(agentId);
 
-    // Create SOUL.md
-    const soulMd = this.generateSoulMd(metadata);
-    await writeFile(path.join(workspacePath, 'SOUL.md'), soulMd);
+    logger.info(`Workspace created: ${workspacePath}`);
+    return workspacePath;
+  }
 
-    // Create IDENTITY.md
-    const identityMd = this.generateIdentityMd(metadata);
-    await writeFile(path.join(workspacePath, 'IDENTITY.md'), identityMd);
+  /**
+   * Copy another fractal's workspace for a clone. memory/ is copied empty
+   * unless includeMemory; the `render` files are rendered for the clone.
+   */
+  async copyWorkspace(sourceId, agentId, metadata, { includeMemory = true, render = [] } = {}) {
+    const sourcePath = path.join(this.baseDir, sourceId);
+    const workspacePath = path.join(this.baseDir, agentId);
+    const memoryPath = path.join(sourcePath, 'memory');
+
+    logger.info(`Copying workspace ${sourcePath} to ${workspacePath}${includeMemory ? '' : ' (without memory)'}`);
+    await access(sourcePath);
+
+    await cp(sourcePath, workspacePath, {
+      recursive: true,
+      errorOnExist: true,
+      force: false,
+      verbatimSymlinks: true,
+      filter: src => includeMemory || !src.startsWith(`${memoryPath}${path.sep}`)
+    });
+    await mkdir(path.join(workspacePath, 'memory'), { recursive: true });
 
-    // Create TOOLS.md
-    const toolsMd = this.generateToolsMd();
-    await writeFile(path.join(workspacePath, 'TOOLS.md'), toolsMd);
+    const files = this.templates.render(metadata.template, { ...metadata, agentId }, render);
+    for (const [file, content] of Object.entries(files)) {
+      await writeFile(path.join(workspacePath, file), content);
+    }
 
-    // Set ownership and permissions
     await this.setOwnership(workspacePath);
+    this.watchWorkspace(agentId);
 
-    logger.info(`Workspace created: ${workspacePath}`);
+    logger.info(`Workspace copied: ${workspacePath}`);
+    return workspacePath;
+  }
+
+  /**
+   * Regenerate persona files after an update
+   * SOUL.md is only rewritten when a new persona is given
+   */
+  async updatePersona(agentId, metadata) {
+    const workspacePath = path.join(this.baseDir, agentId);
+
+    logger.info(`Updating persona files: ${workspacePath}`);
+    await access(workspacePath);
+
+    const only = metadata.persona !== undefined ? ['SOUL.md', 'IDENTITY.md'] : ['IDENTITY.md'];
+    const files = this.templates.render(metadata.template, { ...metadata, agentId }, only);
+    for (const [file, content] of Object.entries(files)) {
+      await writeFile(path.join(workspacePath, file), content);
+    }
+
+    await this.setOwnership(workspacePath);
     return workspacePath;
   }
 
@@ -57,9 +148,14 @@ class WorkspaceManager {
    * Delete workspace directory
    */
   async deleteWorkspace(agentId) {
-    const workspacePath = path.join(this.baseDir, agentId);
-    
+    const workspacePath = path.resolve(this.baseDir, agentId);
+    const relative = path.relative(path.resolve(this.baseDir), workspacePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Refusing to delete ${workspacePath}: not a workspace inside ${this.baseDir}`);
+    }
+
     logger.info(`Deleting workspace: ${workspacePath}`);
+    this.unwatchWorkspace(agentId);
 
     try {
       await access(workspacePath);
@@ -75,131 +171,295 @@ class WorkspaceManager {
   }
 
   /**
-   * Set ownership and permissions
+   * Size in bytes and file count of a workspace (symlinks are not followed)
+   */
+  async usage(agentId) {
+    const workspacePath = path.join(this.baseDir, agentId);
+    const totals = { size: 0, files: 0 };
+
+    const visit = async fullPath => {
+      const stats = await lstat(fullPath);
+      if (stats.isDirectory()) {
+        for (const entry of await readdir(fullPath)) {
+          await visit(path.join(fullPath, entry));
+        }
+      } else if (stats.isFile()) {
+        totals.size += stats.size;
+        totals.files++;
+      }
+    };
+
+    await visit(workspacePath);
+    return totals;
+  }
+
+  /**
+   * Set ownership and permissions to the layout
    */
   async setOwnership(workspacePath) {
-    try {
-      // Use chown command for reliability
-      await execAsync(`chown -R ${this.owner} "${workspacePath}"`);
-      await execAsync(`chmod -R ${this.permissions} "${workspacePath}"`);
-      logger.info(`Set ownership: ${this.owner}, permissions: ${this.permissions}`);
-    } catch (err) {
-      logger.error(`Failed to set ownership: ${err.message}`);
+    const { failed } = await this.repairPath(workspacePath);
+    if (failed.length > 0) {
+      const err = new Error(`Failed to set ownership of ${failed.length} path(s), first: ${failed[0].path}: ${failed[0].error}`);
+      logger.error(err.message);
       throw err;
     }
+    logger.info(`Set ownership: ${this.layout.uid}:${this.layout.gid}, permissions: ${formatMode(this.layout.fileMode)}/${formatMode(this.layout.dirMode)}`);
   }
 
   /**
-   * Generate AGENTS.md content
+   * Expected layout, for API responses
    */
-  generateAgentsMd(metadata) {
-    return `# AGENTS.md - ${metadata.name}
+  describeLayout() {
+    const { uid, gid, fileMode, dirMode, privateFileMode, privateDirMode } = this.layout;
+    return {
+      owner: `${uid}:${gid}`,
+      files: formatMode(fileMode),
+      executables: formatMode(dirMode),
+      directories: formatMode(dirMode),
+      private: { directories: formatMode(privateDirMode), files: formatMode(privateFileMode), paths: ['.ssh/', '*.key', '*.pem'] }
+    };
+  }
 
-This workspace belongs to a fractal agent created by the Fractal API.
+  /**
+   * Ownership and mode violations in a fractal's workspace
+   */
+  async checkPermissions(agentId) {
+    const workspacePath = path.join(this.baseDir, agentId);
+    await access(workspacePath);
+
+    return {
+      workspace: workspacePath,
+      expected: this.describeLayout(),
+      violations: await this.scan(workspacePath),
+      watched: this.watchers.has(agentId),
+      lastRepair: this.lastRepair.get(agentId) || null,
+      checkedAt: new Date().toISOString()
+    };
+  }
 
-## Identity
-- **Name:** ${metadata.name}
-- **Purpose:** ${metadata.purpose || 'General assistance'}
+  /**
+   * Fix every violation in a fractal's workspace
+   */
+  async repairPermissions(agentId) {
+    const workspacePath = path.join(this.baseDir, agentId);
+    await access(workspacePath);
 
-## Workspace
-This folder is your working directory. Treat it as your personal space.
+    const result = await this.repairPath(workspacePath);
+    this.noteRepair(agentId, result);
+    return { workspace: workspacePath, ...result };
+  }
 
-## Memory
-Keep a daily log at \`memory/YYYY-MM-DD.md\` to maintain continuity across sessions.
+  /**
+   * Fix violations under `target` (the workspace or a path inside it).
+   * Returns { fixed: [violation], failed: [violation + error] }.
+   */
+  async repairPath(workspacePath, target = workspacePath) {
+    const fixed = [];
+    const failed = [];
+    const root = await realpath(workspacePath);
+
+    for (const violation of await this.scan(workspacePath, target)) {
+      let handle = null;
+      try {
+        handle = await openInside(root, path.join(workspacePath, violation.path));
+        if (!handle) continue;
+
+        if (violation.problem === 'owner') {
+          await handle.chown(this.layout.uid, this.layout.gid);
+        } else {
+          await handle.chmod(parseMode(violation.expected));
+        }
+        fixed.push(violation);
+      } catch (err) {
+        // Gone again (e.g. a temp file) or replaced by a symlink since the scan is fine
+        if (err.code !== 'ENOENT' && err.code !== 'ELOOP') failed.push({ ...violation, error: err.message });
+      } finally {
+        await handle?.close();
+      }
+    }
 
-## Tools
-You have access to standard OpenClaw tools:
-- File operations (read, write, edit)
-- Shell commands (exec)
-- Web search and fetch
-- Browser automation
-- Message sending
+    return { fixed, failed };
+  }
 
-## Sandbox
-You run in a sandboxed Docker environment with:
-- Internet access (HTTP/HTTPS)
-- Isolated from LAN and Tailscale networks
-- Python, Node.js, and common tools pre-installed
+  noteRepair(agentId, { fixed, failed }) {
+    if (fixed.length === 0 && failed.length === 0) return;
 
-## Safety
-- Don't exfiltrate secrets or private data
-- Be concise in chat; write longer output to files
-- Ask before running destructive commands
-`;
+    this.lastRepair.set(agentId, { at: new Date().toISOString(), fixed: fixed.length, failed: failed.length });
+    logger.info(`Repaired ${fixed.length} permission problem(s) in ${agentId}${failed.length > 0 ? `, ${failed.length} failed` : ''}`);
   }
 
   /**
-   * Generate SOUL.md content
+   * Violations under `target` (default: the whole workspace), paths relative to the workspace.
+   * Only files and directories are checked; symlinks could lead out of the workspace.
    */
-  generateSoulMd(metadata) {
-    return `# SOUL.md - ${metadata.name}
+  async scan(workspacePath, target = workspacePath) {
+    const violations = [];
+
+    const visit = async fullPath => {
+      let stats;
+      try {
+        stats = await lstat(fullPath);
+      } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+      }
+      if (!stats.isFile() && !stats.isDirectory()) return;
+
+      const relative = path.relative(workspacePath, fullPath) || '.';
+      if (stats.uid !== this.layout.uid || stats.gid !== this.layout.gid) {
+        violations.push({
+          path: relative,
+          type: stats.isDirectory() ? 'directory' : 'file',
+          problem: 'owner',
+          actual: `${stats.uid}:${stats.gid}`,
+          expected: `${this.layout.uid}:${this.layout.gid}`
+        });
+      }
 
-## Persona
-${metadata.persona || 'You are a helpful, friendly assistant created to support specific tasks.'}
+      const mode = stats.mode & 0o7777;
+      const expected = this.expectedMode(relative, stats.isDirectory(), mode);
+      if (expected !== null && mode !== expected) {
+        violations.push({
+          path: relative,
+          type: stats.isDirectory() ? 'directory' : 'file',
+          problem: 'mode',
+          actual: formatMode(mode),
+          expected: formatMode(expected)
+        });
+      }
 
-## Communication Style
-- Be clear and concise
-- Ask clarifying questions when needed
-- Explain your reasoning when helpful
-- Admit uncertainty rather than guess
+      if (stats.isDirectory()) {
+        for (const entry of await readdir(fullPath).catch(() => [])) {
+          await visit(path.join(fullPath, entry));
+        }
+      }
+    };
+
+    await visit(target);
+    return violations;
+  }
 
-## Values
-- Accuracy over speed
-- Collaboration over independence
-- Learning from mistakes
-- Respecting user preferences
-`;
+  /**
+   * Mode a path should have (null: leave it alone). Executable files keep
+   * their x bits (scripts are 775); git's read-only objects are left as they are.
+   */
+  expectedMode(relative, isDirectory, mode) {
+    const segments = relative.split(path.sep);
+    if (segments.includes('.git') && !isDirectory) return null;
+
+    const isPrivate = segments.includes('.ssh') || (!isDirectory && PRIVATE_FILES.test(relative));
+    if (isDirectory) return isPrivate ? this.layout.privateDirMode : this.layout.dirMode;
+    if (isPrivate) return this.layout.privateFileMode;
+    return mode & 0o111 ? this.layout.dirMode : this.layout.fileMode;
   }
 
   /**
-   * Generate IDENTITY.md content
+   * Watch fractal workspaces and start the periodic sweep.
+   * `listAgentIds` returns the current fractals (the sweep covers them, watched or not).
    */
-  generateIdentityMd(metadata) {
-    return `# I am ${metadata.name}
+  watch(listAgentIds) {
+    if (!this.watchEnabled) return;
+
+    this.listAgentIds = listAgentIds;
+    listAgentIds().forEach(agentId => this.watchWorkspace(agentId));
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+      this.sweepTimer.unref();
+    }
+  }
 
-${metadata.purpose || 'I am a fractal agent — a dynamically created assistant designed to help with specific tasks.'}
+  /**
+   * Repair changed paths in a workspace shortly after they appear
+   */
+  watchWorkspace(agentId) {
+    if (!this.watchEnabled || this.watchers.has(agentId)) return;
+    const workspacePath = path.join(this.baseDir, agentId);
 
-I was created by the Fractal API and operate within the OpenClaw ecosystem.
+    const pending = new Set();
+    let timer = null;
+    const flush = async () => {
+      timer = null;
+      const paths = [...pending];
+      pending.clear();
+
+      const result = { fixed: [], failed: [] };
+      for (const changed of paths) {
+        try {
+          const { fixed, failed } = await this.repairPath(workspacePath, changed);
+          result.fixed.push(...fixed);
+          result.failed.push(...failed);
+        } catch (err) {
+          logger.warn(`Permission repair in ${agentId} failed:`, err.message);
+        }
+      }
+      this.noteRepair(agentId, result);
+    };
 
-My workspace is my personal space where I can:
-- Maintain memory across sessions
-- Store working files
-- Keep notes and logs
+    try {
+      const watcher = watch(workspacePath, { recursive: true }, (event, filename) => {
+        pending.add(filename ? path.join(workspacePath, filename.toString()) : workspacePath);
+        if (!timer) timer = setTimeout(flush, this.debounceMs);
+      });
+      watcher.on('error', err => {
+        logger.warn(`Workspace watcher for ${agentId} stopped:`, err.message);
+        this.unwatchWorkspace(agentId);
+      });
+      this.watchers.set(agentId, watcher);
+      logger.info(`Watching workspace permissions: ${workspacePath}`);
+    } catch (err) {
+      logger.warn(`Cannot watch workspace ${workspacePath}:`, err.message);
+    }
+  }
 
-I run in a sandboxed environment with internet access but isolated from internal networks.
-`;
+  unwatchWorkspace(agentId) {
+    this.watchers.get(agentId)?.close();
+    this.watchers.delete(agentId);
+    this.lastRepair.delete(agentId);
   }
 
   /**
-   * Generate TOOLS.md content
+   * Full repair of every fractal's workspace, including those fs.watch couldn't
+   * watch or stopped watching (sshfs); watching them is retried too
    */
-  generateToolsMd() {
-    return `# TOOLS.md - User Tool Notes
-
-This file is for notes about external tools and conventions.
+  async sweep() {
+    for (const agentId of this.listAgentIds()) {
+      this.watchWorkspace(agentId);
+      await this.repairPermissions(agentId).catch(err => {
+        if (err.code === 'ENOENT') return;
+        logger.warn(`Permission sweep of ${agentId} failed:`, err.message);
+      });
+    }
+  }
+}
 
-## Available Tools
-- **exec**: Run shell commands in the sandbox
-- **read/write/edit**: File operations
-- **web_search**: Search the web via Brave API
-- **web_fetch**: Fetch and extract web content
-- **browser**: Browser automation
-- **message**: Send messages (Matrix, etc.)
-- **image**: Analyze images
-- **tts**: Text-to-speech
+/**
+ * Open a file or directory for fchown/fchmod, refusing anything outside `root`.
+ * The agent can swap paths for symlinks between the scan and the repair:
+ * O_NOFOLLOW covers the last component, the fd's real path the directories
+ * above it. Resolves with null when the path no longer qualifies.
+ */
+async function openInside(root, fullPath) {
+  const handle = await open(fullPath, constants.O_RDONLY | constants.O_NOFOLLOW | constants.O_NONBLOCK);
+  try {
+    const relative = path.relative(root, await readlink(`/proc/self/fd/${handle.fd}`));
+    const stats = await handle.stat();
+    if (relative.startsWith('..') || path.isAbsolute(relative) || !(stats.isFile() || stats.isDirectory())) {
+      await handle.close();
+      return null;
+    }
+    return handle;
+  } catch (err) {
+    await handle.close();
+    throw err;
+  }
+}
 
-## Sandbox Environment
-- Debian 12 base image
-- Python 3.11 + uv
-- Node.js 18 + npm
-- Common tools: git, curl, jq, ffmpeg, imagemagick
+function parseMode(value) {
+  return typeof value === 'number' ? value : parseInt(value, 8);
+}
 
-## Network
-- Internet access: ✅
-- LAN access: ❌
-- Tailscale access: ❌
-`;
-  }
+function formatMode(mode) {
+  return mode.toString(8).padStart(3, '0');
 }
 
 module.exports = WorkspaceManager;
@@ -7,14 +7,31 @@
  */
 
 const http = require('http');
-const { readFileSync } = require('fs');
+const { readFileSync, existsSync } = require('fs');
 const path = require('path');
 
 const MatrixClient = require('./lib/matrix');
 const OpenClawClient = require('./lib/openclaw');
 const WorkspaceManager = require('./lib/workspace');
 const FractalRegistry = require('./lib/registry');
-const { logger, respondJSON, respondError } = require('./lib/utils');
+const ProposalQueue = require('./lib/proposals');
+const TemplateLibrary = require('./lib/templates');
+const Reconciler = require('./lib/reconcile');
+const StatusChecker = require('./lib/status');
+const DockerClient = require('./lib/docker');
+const WebhookDispatcher = require('./lib/webhooks');
+const TokenStore = require('./lib/tokens');
+const FractalHierarchy = require('./lib/hierarchy');
+const AuditLog = require('./lib/audit');
+const ResourceBudget = require('./lib/resources');
+const NetworkManager = require('./lib/network');
+const PortForwarder = require('./lib/ports');
+const SnapshotStore = require('./lib/snapshots');
+const BundleStore = require('./lib/bundles');
+const OperationJournal = require('./lib/journal');
+const FileLock = require('./lib/lock');
+const Metrics = require('./lib/metrics');
+const { logger, HttpError, readJSONBody, respondJSON, respondError } = require('./lib/utils');
 
 // Load configuration
 let config;
@@ -25,365 +42,3866 @@ try {
   process.exit(1);
 }
 
+const LOCK_DIR = config.locks?.dir || path.dirname(config.registry.dataFile);
+
 // Initialize clients
-const matrix = new MatrixClient(config.matrix);
-const openclaw = new OpenClawClient(config.openclaw);
-const workspace = new WorkspaceManager(config.workspace);
+const metrics = new Metrics();
+const matrix = new MatrixClient(config.matrix, metrics);
+const openclaw = new OpenClawClient(config.openclaw, path.join(LOCK_DIR, 'openclaw-config.lock'), metrics);
+const templates = new TemplateLibrary(config.templates);
+const workspace = new WorkspaceManager(config.workspace, templates);
 const registry = new FractalRegistry(config.registry.dataFile);
+const hierarchy = new FractalHierarchy(config.hierarchy, registry);
+const quotas = new ResourceBudget(config.resources, registry);
+const networks = new NetworkManager(config.network);
+const journal = new OperationJournal(
+  config.journal?.dataFile || path.join(path.dirname(config.registry.dataFile), 'fractal-journal.json'),
+  config.journal?.retentionDays,
+  metrics
+);
+const reconciler = new Reconciler(
+  { ...config.reconcile, paddingUser: config.matrix.paddingUser },
+  { registry, openclaw, workspace, matrix, buildAgentConfig }
+);
+const docker = new DockerClient(config.docker, registry);
+const statusChecker = new StatusChecker(config.status, {
+  reconciler, matrix, workspace, docker, paddingUser: config.matrix.paddingUser
+});
+const tokens = new TokenStore(config.auth, path.dirname(config.registry.dataFile));
+const webhooks = new WebhookDispatcher(config.webhooks, path.dirname(config.registry.dataFile), metrics);
+const audit = new AuditLog(config.audit, path.dirname(config.registry.dataFile));
+const snapshots = new SnapshotStore(config.snapshots, workspace, path.dirname(config.registry.dataFile));
+const bundles = new BundleStore(config.bundles, workspace, path.dirname(config.registry.dataFile));
+const ports = new PortForwarder(config.ports, path.dirname(config.registry.dataFile), docker, metrics);
+const proposals = config.proposals?.enabled
+  ? new ProposalQueue(config.proposals, matrix, path.dirname(config.registry.dataFile))
+  : null;
+
+// Config transactions and finished operations are attributed to the request (or job) running them
+openclaw.on('transaction', change => audit.noteConfig(change));
+journal.on('finish', op => {
+  if (!op.parentId) audit.noteOperation(op);
+});
 
 const MAX_FRACTALS = config.limits?.maxFractals || 5;
 const MIN_AGENTS_COUNT = config.limits?.minAgentsCount || 12;
+const UPDATABLE_FIELDS = ['model', 'persona', 'purpose', 'autoReply', 'maxChildren', 'resources'];
+const CONFIG_STEPS = ['agent', 'binding', 'group'];
+const CHILD_MODES = ['cascade', 'reparent'];
 
 /**
  * POST /fractal - Create new fractal agent
+ * With proposals enabled, queues the request for approval in the admin room
  */
 async function createFractal(req, res) {
-  let body = '';
-  
-  req.on('data', chunk => body += chunk);
-  req.on('end', async () => {
-    try {
-      const params = JSON.parse(body);
-      
-      // Validate request
-      const errors = validateCreateRequest(params);
-      if (errors.length > 0) {
-        return respondError(res, 400, 'Validation failed', errors);
-      }
-
-      // Check fractal limit
-      const activeFractals = registry.list().filter(f => f.status === 'active');
-      if (activeFractals.length >= MAX_FRACTALS) {
-        return respondError(res, 429, `Maximum fractals limit reached (${MAX_FRACTALS})`);
-      }
-
-      logger.info(`Creating fractal: ${params.agentId}`);
-
-      // Pre-flight check: verify config health
-      const currentConfig = await openclaw.getConfig();
-      if (!currentConfig.agents?.list || currentConfig.agents.list.length < MIN_AGENTS_COUNT) {
-        return respondError(res, 500, 
-          `Config corruption detected! agents.list has ${currentConfig.agents?.list?.length || 0} entries, expected ${MIN_AGENTS_COUNT}+. Refusing to modify.`
-        );
-      }
-
-      const initialAgentCount = currentConfig.agents.list.length;
-      logger.info(`Pre-flight check passed: ${initialAgentCount} agents in config`);
-
-      // Step 1: Create Matrix room
-      logger.info('Step 1/7: Creating Matrix room');
-      const roomId = await matrix.createRoom(params.name, params.inviteUsers || []);
-      logger.info(`Room created: ${roomId}`);
-
-      // Step 2: Ensure 3+ members (add padding member)
-      logger.info('Step 2/7: Ensuring 3+ members');
-      await matrix.ensureMinimumMembers(roomId, config.matrix.paddingUser);
-      
-      const memberCount = await matrix.getRoomMemberCount(roomId);
-      if (memberCount < 3) {
-        throw new Error(`Room has ${memberCount} members, need 3+`);
-      }
-      logger.info(`Room has ${memberCount} members`);
-
-      // Step 3: Create workspace
-      logger.info('Step 3/7: Creating workspace');
-      const workspacePath = await workspace.createWorkspace(params.agentId, {
-        name: params.name,
-        purpose: params.purpose,
-        persona: params.persona
-      });
-      logger.info(`Workspace created: ${workspacePath}`);
+  try {
+    const body = await readJSONBody(req);
 
-      // Step 4: Add agent to config (CRITICAL: read-modify-write)
-      logger.info('Step 4/7: Adding agent to config');
-      try {
-        await openclaw.addAgent({
-          id: params.agentId,
-          workspace: workspacePath,
-          model: {
-            primary: params.model || 'anthropic/claude-sonnet-4-5',
-            fallbacks: ['anthropic/claude-haiku-4-5']
-          },
-          identity: {
-            name: params.name,
-            theme: params.purpose || 'Fractal agent'
-          },
-          sandbox: config.agentDefaults?.sandbox || {
-            mode: 'all',
-            workspaceAccess: 'rw',
-            docker: {
-              image: 'mox-sandbox:latest',
-              network: 'mox-internet',
-              user: '996:1100',
-              readOnlyRoot: false
-            }
-          }
-        });
+    // A fractal-bound caller spawns under its own fractal by default
+    if (req.auth.fractalId && body.parentId === undefined) {
+      body.parentId = req.auth.fractalId;
+    }
 
-        // Verify agent was added
-        const verifyConfig = await openclaw.getConfig();
-        if (verifyConfig.agents.list.length !== initialAgentCount + 1) {
-          throw new Error(
-            `Agent count validation failed! Expected ${initialAgentCount + 1}, got ${verifyConfig.agents.list.length}`
-          );
-        }
-        logger.info(`Agent added, config now has ${verifyConfig.agents.list.length} agents`);
-      } catch (err) {
-        // Rollback: delete workspace
-        logger.error('Agent creation failed, rolling back workspace');
-        await workspace.deleteWorkspace(params.agentId);
-        throw err;
+    // Bound callers can't create roots (parentId null) or outside their subtree
+    checkActsFor(req, body.parentId);
+
+    // Validate request
+    const errors = validateCreateRequest(body);
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
+    }
+
+    // Template defaults for anything the request doesn't set
+    const params = await resolveCreateParams(body);
+
+    checkFractalLimit();
+    checkChildQuota([params.parentId]);
+    checkResourceBudget([params.resources]);
+
+    if (proposals) {
+      if (proposals.findOpen(params.agentId)) {
+        return respondError(res, 409, `A proposal for '${params.agentId}' is already open`);
       }
 
-      // Step 5: Add binding (before felix catch-all)
-      logger.info('Step 5/7: Adding binding');
-      try {
-        await openclaw.addBinding({
-          agentId: params.agentId,
-          match: {
-            channel: 'matrix',
-            peer: {
-              kind: 'channel',
-              id: roomId
-            }
-          }
-        });
-        logger.info('Binding added');
-      } catch (err) {
-        // Rollback: remove agent, delete workspace
-        logger.error('Binding creation failed, rolling back agent and workspace');
-        await openclaw.removeAgent(params.agentId);
-        await workspace.deleteWorkspace(params.agentId);
-        throw err;
+      const proposal = await proposals.propose(params);
+      return respondJSON(res, 202, {
+        success: true,
+        message: 'Proposal posted to admin room for approval',
+        proposal
+      });
+    }
+
+    await startProvisioning(req, res, params, 'Fractal creation started');
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Fractal creation failed:', err);
+    respondError(res, 500, 'Fractal creation failed', err.message);
+  }
+}
+
+/**
+ * Run the creation flow for validated params under the agent lock: 201 with
+ * the fractal (?wait=true), otherwise 202 with the operation.
+ * `cleanup` runs once the flow is over, or if the lock can't be taken.
+ */
+async function startProvisioning(req, res, params, message, cleanup = async () => {}) {
+  let lock;
+  let op;
+  try {
+    lock = acquireAgentLock(params.agentId, 'create');
+    // Again, right before journaling: imports and clones await between their checks and here
+    checkFractalLimit();
+    checkChildQuota([params.parentId]);
+    checkResourceBudget([params.resources]);
+    op = journal.start('create', params.agentId, params);
+  } catch (err) {
+    lock?.release();
+    await cleanup();
+    throw err;
+  }
+
+  const run = runWithLock(lock, () => provisionFractal(params, op)).finally(cleanup);
+
+  if (waitRequested(req)) {
+    const fractal = await run;
+    return respondJSON(res, 201, {
+      success: true,
+      fractal
+    });
+  }
+
+  // Outcome is recorded in the journal, see GET /operations/:id
+  run.catch(() => {});
+  respondJSON(res, 202, {
+    success: true,
+    message,
+    operation: formatOperation(op)
+  });
+}
+
+/**
+ * Take the per-agent lock file.
+ * Concurrent operations on the same agentId (in any process) get a 409.
+ */
+function acquireAgentLock(agentId, action) {
+  const lock = new FileLock(path.join(LOCK_DIR, `agent-${agentId}.lock`));
+
+  if (!lock.tryAcquire(action)) {
+    const holder = lock.holder();
+    throw new HttpError(409, `Another operation is in progress for '${agentId}'`,
+      holder ? `${holder.owner} since ${holder.acquiredAt}` : null
+    );
+  }
+
+  return lock;
+}
+
+/**
+ * Run fn, releasing an already acquired lock when it settles
+ */
+async function runWithLock(lock, fn) {
+  try {
+    return await fn();
+  } finally {
+    lock.release();
+  }
+}
+
+/**
+ * Run fn holding the per-agent lock
+ */
+async function withAgentLock(agentId, action, fn) {
+  return runWithLock(acquireAgentLock(agentId, action), fn);
+}
+
+/**
+ * Route to a handler under the per-agent lock
+ */
+function lockedRoute(res, agentId, action, handler) {
+  withAgentLock(agentId, action, handler).catch(err => {
+    respondError(res, err.status || 500, err.message, err.details);
+  });
+}
+
+/**
+ * Long operations run in the background unless the caller asks to wait (?wait=true)
+ */
+function waitRequested(req) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  return url.searchParams.get('wait') === 'true';
+}
+
+/**
+ * Refuse creation when a parent would exceed its child quota
+ */
+function checkChildQuota(parentIds) {
+  const counts = {};
+  parentIds.filter(Boolean).forEach(parentId => {
+    counts[parentId] = (counts[parentId] || 0) + 1;
+  });
+
+  for (const [parentId, count] of Object.entries(counts)) {
+    const problem = hierarchy.quotaProblem(parentId, count, pendingChildren(parentId));
+    if (problem) {
+      throw new HttpError(429, 'Child quota reached', problem);
+    }
+  }
+}
+
+/**
+ * Refuse a reparenting delete that would put its parent over its child quota
+ */
+function checkReparentQuota(agentId, deleted = new Set()) {
+  const parentId = registry.get(agentId)?.parentId;
+  const problem = hierarchy.reparentProblem(agentId, parentId ? pendingChildren(parentId) : 0, deleted);
+  if (problem) {
+    throw new HttpError(429, 'Child quota reached', `reparenting the children of '${agentId}': ${problem}`);
+  }
+}
+
+/**
+ * Creates in progress under a parent (not yet registered, so not among its children)
+ */
+function pendingChildren(parentId) {
+  return pendingCreates().filter(op => op.params.parentId === parentId).length;
+}
+
+/**
+ * Create params for a validated request: template defaults, resource limits and network policy
+ */
+async function resolveCreateParams(body) {
+  const params = resolveResources(templates.apply(body));
+
+  try {
+    params.network = await networks.resolve(params.network);
+  } catch (err) {
+    throw new HttpError(400, 'Validation failed', [err.message]);
+  }
+
+  return params;
+}
+
+/**
+ * Set params.resources to the effective limits (config defaults, template, request).
+ * With a host budget, every budgeted resource needs a limit.
+ */
+function resolveResources(params) {
+  const templateResources = templates.get(params.template)?.resources || {};
+  const problems = quotas.validate(templateResources, `template '${params.template}' resources`);
+  if (problems.length > 0) {
+    throw new HttpError(400, 'Validation failed', problems);
+  }
+
+  params.resources = quotas.resolve(params.resources, templateResources);
+
+  const unlimited = quotas.unlimited(params.resources);
+  if (unlimited.length > 0) {
+    throw new HttpError(400, 'Validation failed', [
+      `resources.${unlimited.join(', resources.')} required: the host budget limits ${unlimited.join(', ')} (or set resources.defaults)`
+    ]);
+  }
+
+  return params;
+}
+
+/**
+ * Refuse when new limits would overcommit the host budget.
+ * Creates still in progress count; fractals in `exclude` (being deleted or changed) don't.
+ */
+function checkResourceBudget(additions, exclude = []) {
+  const pending = pendingCreates()
+    .filter(op => !exclude.includes(op.agentId))
+    .map(op => op.params?.resources || {});
+
+  const problems = quotas.overcommit(additions, { exclude, pending });
+  if (problems.length > 0) {
+    throw new HttpError(429, 'Host resource budget exceeded', problems);
+  }
+}
+
+/**
+ * Refuse when a fractal-bound caller targets a fractal outside its subtree
+ * (or none: a missing or null parentId would make a root)
+ */
+function checkActsFor(req, agentId) {
+  if (!visibleTo(req, agentId)) {
+    throw new HttpError(403, `Token may only act on the subtree of '${req.auth.fractalId}'`);
+  }
+}
+
+/**
+ * Whether the caller may see or act on agentId (unbound tokens: everything)
+ */
+function visibleTo(req, agentId) {
+  return !req.auth.fractalId || (Boolean(agentId) && hierarchy.inSubtree(req.auth.fractalId, agentId));
+}
+
+/**
+ * Create operations still running (or awaiting recovery) whose fractal isn't registered yet
+ */
+function pendingCreates() {
+  return journal.incomplete().filter(op => op.type === 'create' && !registry.get(op.agentId));
+}
+
+/**
+ * Refuse creation when the active fractal limit is reached, counting creates in progress
+ */
+function checkFractalLimit() {
+  const active = registry.list().filter(f => f.status === 'active').length + pendingCreates().length;
+  if (active >= MAX_FRACTALS) {
+    throw new HttpError(429, `Maximum fractals limit reached (${MAX_FRACTALS})`);
+  }
+}
+
+/**
+ * Run the 8-step creation flow for validated params
+ * Every step is journaled so a crash can be recovered on startup
+ */
+async function provisionFractal(params, op) {
+  logger.info(`Creating fractal: ${params.agentId}`);
+
+  try {
+    await preflightCheck();
+
+    // Steps 1-4: Room, members, workspace and network
+    const { roomId, workspacePath } = await prepareFractal(params, op);
+
+    // Steps 5-7: Agent, binding (before felix catch-all) and auto-reply
+    // CRITICAL: one read-modify-write, validated and verified as a whole
+    logger.info('Steps 5-7/8: Adding agent, binding and group settings');
+    await openclaw.transaction(tx => {
+      addFractalConfig(tx, params, roomId, workspacePath);
+      // Journaled once the changes apply cleanly, before the write
+      CONFIG_STEPS.forEach(name => journal.beginStep(op, name));
+    }, `create ${params.agentId}`);
+    completeConfigSteps(op);
+    logger.info('Agent, binding and group config added');
+
+    // Step 8: Restart gateway
+    logger.info('Step 8/8: Restarting gateway');
+    await journalStep(op, 'restart', () => openclaw.restart());
+    logger.info('Gateway restarted');
+
+    // Register fractal
+    let fractal;
+    await journalStep(op, 'registry', async () => {
+      fractal = await registerFractal(params, roomId, workspacePath);
+    });
+
+    journal.finish(op, 'completed', { result: { fractal } });
+    emitOperationEvent('fractal.created', op, { fractal });
+    logger.info(`✅ Fractal created successfully: ${params.agentId}`);
+    return fractal;
+
+  } catch (err) {
+    logger.error(`Fractal creation failed at step '${op.steps[op.steps.length - 1]?.name || 'pre-flight'}', rolling back`);
+    await rollbackCreate(op, err);
+    throw err;
+  }
+}
+
+/**
+ * Pre-flight check: verify config health before modifying anything
+ */
+async function preflightCheck() {
+  const currentConfig = await openclaw.getConfig();
+  if (!currentConfig.agents?.list || currentConfig.agents.list.length < MIN_AGENTS_COUNT) {
+    throw new HttpError(500,
+      `Config corruption detected! agents.list has ${currentConfig.agents?.list?.length || 0} entries, expected ${MIN_AGENTS_COUNT}+. Refusing to modify.`
+    );
+  }
+
+  logger.info(`Pre-flight check passed: ${currentConfig.agents.list.length} agents in config`);
+}
+
+/**
+ * Creation steps 1-4 (room, members, workspace, network), journaled in op
+ */
+async function prepareFractal(params, op) {
+  // Step 1: Create Matrix room (imports may join an existing one instead)
+  const existingRoomId = params.source?.roomId;
+  logger.info(existingRoomId ? `Step 1/8: Joining room ${existingRoomId}` : 'Step 1/8: Creating Matrix room');
+  const { roomId } = await journalStep(op, 'room', async () => existingRoomId
+    ? { roomId: await matrix.joinRoom(existingRoomId), existing: true }
+    : { roomId: await matrix.createRoom(params.name, params.inviteUsers || []) });
+  logger.info(existingRoomId ? `Room joined: ${roomId}` : `Room created: ${roomId}`);
+
+  // Step 2: Ensure 3+ members (add padding member)
+  logger.info('Step 2/8: Ensuring 3+ members');
+  await journalStep(op, 'members', async () => {
+    await matrix.ensureMinimumMembers(roomId, config.matrix.paddingUser);
+
+    const memberCount = await matrix.getRoomMemberCount(roomId);
+    if (memberCount < 3) {
+      throw new Error(`Room has ${memberCount} members, need 3+`);
+    }
+    logger.info(`Room has ${memberCount} members`);
+  });
+
+  // Step 3: Create workspace
+  logger.info('Step 3/8: Creating workspace');
+  const { workspacePath } = await journalStep(op, 'workspace', async () => ({
+    workspacePath: await populateWorkspace(params, roomId)
+  }));
+  logger.info(`Workspace created: ${workspacePath}`);
+
+  // Step 4: Docker network and firewall rules for the network profile (if any)
+  if (params.network) {
+    logger.info(`Step 4/8: Creating network (${params.network.profile})`);
+  } else {
+    logger.info('Step 4/8: Using the shared sandbox network');
+  }
+  await journalStep(op, 'network', async () => params.network ? networks.create(params.agentId, params.network) : null);
+
+  return { roomId, workspacePath };
+}
+
+/**
+ * Creation step 3: template files for a new fractal, the bundled workspace
+ * for an import, a copy of the source's for a clone
+ */
+async function populateWorkspace(params, roomId) {
+  const { source } = params;
+  const metadata = {
+    template: params.template,
+    variables: params.variables,
+    name: params.name,
+    purpose: params.purpose,
+    persona: params.persona,
+    model: params.model,
+    roomId,
+    inviteUsers: params.inviteUsers
+  };
+
+  if (source?.type === 'import') {
+    return bundles.unpack(source.archive, source.root, params.agentId);
+  }
+  if (source?.type === 'clone') {
+    // Name and room files are the clone's; SOUL.md only changes with a new persona
+    return workspace.copyWorkspace(source.agentId, params.agentId, metadata, {
+      includeMemory: source.includeMemory,
+      render: ['IDENTITY.md', 'USER.md', ...(source.newPersona ? ['SOUL.md'] : [])]
+    });
+  }
+  return workspace.createWorkspace(params.agentId, metadata);
+}
+
+/**
+ * Record a new fractal's agent, binding and group config on a transaction
+ */
+function addFractalConfig(tx, params, roomId, workspacePath) {
+  const bound = tx.config.bindings.find(b => b.match?.peer?.id === roomId);
+  if (bound) {
+    throw new Error(`Room ${roomId} is already bound to agent '${bound.agentId}'`);
+  }
+
+  tx.addAgent(buildAgentConfig(params, workspacePath));
+  tx.addBinding({
+    ...params.source?.binding,
+    agentId: params.agentId,
+    match: {
+      ...params.source?.binding?.match,
+      channel: 'matrix',
+      peer: {
+        kind: 'channel',
+        id: roomId
       }
+    }
+  });
+  tx.setGroupConfig(roomId, {
+    ...params.source?.groupConfig,
+    autoReply: params.autoReply !== undefined ? params.autoReply : true
+  });
+}
+
+/**
+ * Build the agents.list entry for a new fractal.
+ * A cloned entry is kept, with this host's workspace path, sandbox user and network;
+ * an imported one only brings its model, identity and tools (see BundleStore.importableAgent).
+ */
+function buildAgentConfig(params, workspacePath) {
+  const sandbox = templates.sandbox(params.template, config.agentDefaults?.sandbox || {
+    mode: 'all',
+    workspaceAccess: 'rw',
+    docker: {
+      image: 'mox-sandbox:latest',
+      network: 'mox-internet',
+      user: '996:1100',
+      readOnlyRoot: false
+    }
+  });
+
+  const source = params.source?.agent;
+  let docker = source?.sandbox?.docker
+    ? { ...source.sandbox.docker, user: sandbox.docker.user, network: sandbox.docker.network }
+    : sandbox.docker;
+  if (params.resources) {
+    docker = quotas.applyToDocker(docker, params.resources);
+  }
+  if (params.network) {
+    docker = { ...docker, network: networks.networkName(params.agentId) };
+  }
+
+  if (source) {
+    return {
+      ...source,
+      id: params.agentId,
+      workspace: workspacePath,
+      model: { ...source.model, primary: params.model || source.model?.primary },
+      identity: { ...source.identity, name: params.name, ...(params.purpose && { theme: params.purpose }) },
+      sandbox: { ...sandbox, ...source.sandbox, docker }
+    };
+  }
 
-      // Step 6: Enable auto-reply
-      logger.info('Step 6/7: Configuring group settings');
+  return {
+    id: params.agentId,
+    workspace: workspacePath,
+    model: {
+      primary: params.model || 'anthropic/claude-sonnet-4-5',
+      fallbacks: ['anthropic/claude-haiku-4-5']
+    },
+    identity: {
+      name: params.name,
+      theme: params.purpose || 'Fractal agent'
+    },
+    sandbox: docker === sandbox.docker ? sandbox : { ...sandbox, docker }
+  };
+}
+
+/**
+ * Add a created fractal to the registry
+ */
+function registerFractal(params, roomId, workspacePath) {
+  return registry.add({
+    agentId: params.agentId,
+    roomId,
+    name: params.name,
+    purpose: params.purpose,
+    persona: params.persona,
+    model: params.model || 'anthropic/claude-sonnet-4-5',
+    autoReply: params.autoReply !== undefined ? params.autoReply : true,
+    template: params.template,
+    variables: params.variables,
+    workspace: workspacePath,
+    parentId: params.parentId || null,
+    ...(params.maxChildren !== undefined && { maxChildren: params.maxChildren }),
+    ...(params.resources && { resources: params.resources }),
+    ...(params.network && { network: params.network }),
+    ...(params.source?.type === 'import' && { importedFrom: params.source.origin }),
+    ...(params.source?.type === 'clone' && { clonedFrom: params.source.origin }),
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Run one side-effecting step, recording it in the journal before and after
+ */
+async function journalStep(op, name, fn) {
+  journal.beginStep(op, name);
+  const data = await fn();
+  journal.completeStep(op, name, data && typeof data === 'object' ? data : null);
+  return data;
+}
+
+/**
+ * Emit a lifecycle webhook for an operation (batch items carry their batchId)
+ */
+function emitOperationEvent(event, op, data = {}) {
+  webhooks.emit(event, {
+    agentId: op.agentId,
+    operationId: op.id,
+    ...(op.parentId && { batchId: op.parentId }),
+    ...data
+  });
+}
+
+/**
+ * Undo whatever a create operation got done.
+ * Checks live state so it is safe to run after a crash or more than once.
+ * Only touches items whose step was started by this operation.
+ */
+async function rollbackCreate(op, cause = null) {
+  const { agentId } = op;
+  const { roomId, existing: existingRoom } = journal.getStep(op, 'room')?.data || {};
+  const undone = [];
+
+  try {
+    // Group config, binding and agent in one transaction, based on live state
+    const configUndone = await openclaw.transaction(tx => removeCreatedConfig(tx, op), `rollback ${agentId}`);
+    undone.push(...configUndone);
+    const configChanged = configUndone.length > 0;
+
+    if (journal.stepStarted(op, 'workspace')) {
+      await workspace.deleteWorkspace(agentId);
+      undone.push('workspace');
+    }
+
+    if (journal.stepStarted(op, 'registry') && registry.get(agentId)?.roomId === roomId) {
+      await registry.remove(agentId);
+      undone.push('registry');
+    }
+
+    if (configChanged && journal.stepStarted(op, 'restart')) {
+      await openclaw.restart();
+      undone.push('restart');
+    }
+
+    // Network after the restart, once no sandbox uses it
+    if (journal.stepStarted(op, 'network') && op.params.network) {
+      await networks.teardown(agentId);
+      undone.push('network');
+    }
+
+    // Room last: best effort, needs the admin token
+    let orphanedRoom = null;
+    if (roomId && existingRoom) {
+      logger.info(`Leaving room ${roomId} in place: it existed before the import`);
+    } else if (roomId) {
       try {
-        await openclaw.setGroupConfig(roomId, {
-          autoReply: params.autoReply !== undefined ? params.autoReply : true
-        });
-        logger.info('Group config set');
+        await matrix.deleteRoom(roomId, { purge: true });
+        undone.push('room');
       } catch (err) {
-        // Rollback: remove binding, agent, workspace
-        logger.error('Group config failed, rolling back binding, agent, and workspace');
-        await openclaw.removeBinding(params.agentId);
-        await openclaw.removeAgent(params.agentId);
-        await workspace.deleteWorkspace(params.agentId);
-        throw err;
+        logger.warn(`Could not delete room ${roomId} during rollback: ${err.message}`);
+        orphanedRoom = roomId;
       }
+    }
 
-      // Step 7: Restart gateway
-      logger.info('Step 7/7: Restarting gateway');
-      await openclaw.restart();
-      logger.info('Gateway restarted');
-
-      // Register fractal
-      const fractal = registry.add({
-        agentId: params.agentId,
-        roomId,
-        name: params.name,
-        purpose: params.purpose,
-        model: params.model || 'anthropic/claude-sonnet-4-5',
-        workspace: workspacePath,
-        createdAt: new Date().toISOString()
-      });
+    journal.finish(op, 'rolled_back', {
+      error: cause?.message || null,
+      undone,
+      orphanedRoom
+    });
+    emitOperationEvent('fractal.rolled_back', op, {
+      type: op.type,
+      // Batch items report the step their batch failed at
+      failedStep: journal.failedStep(op.parentId ? journal.get(op.parentId) : op),
+      error: op.error,
+      undone,
+      orphanedRoom
+    });
+    logger.info(`Rolled back ${op.id} (${agentId}): ${undone.join(', ') || 'nothing to undo'}`);
 
-      logger.info(`✅ Fractal created successfully: ${params.agentId}`);
+  } catch (err) {
+    // Leave the operation in_progress so startup recovery retries it
+    logger.error(`Rollback of ${op.id} failed, will retry on next startup:`, err.message);
+    op.rollbackError = err.message;
+    journal.save();
+  }
 
-      respondJSON(res, 201, {
-        success: true,
-        fractal
-      });
+  return undone;
+}
 
-    } catch (err) {
-      logger.error('Fractal creation failed:', err);
-      respondError(res, 500, 'Fractal creation failed', err.message);
+/**
+ * Record removal of the config a create operation added, based on live state.
+ * Only touches items whose step was started and that point at this operation's room and workspace.
+ */
+function removeCreatedConfig(tx, op) {
+  const { agentId } = op;
+  const roomId = journal.getStep(op, 'room')?.data?.roomId;
+  const workspacePath = journal.getStep(op, 'workspace')?.data?.workspacePath;
+  const removed = [];
+
+  if (roomId && journal.stepStarted(op, 'group') && tx.groups()[roomId]) {
+    tx.removeGroupConfig(roomId);
+    removed.push('group');
+  }
+  if (journal.stepStarted(op, 'binding') &&
+      tx.config.bindings.some(b => b.agentId === agentId && b.match?.peer?.id === roomId)) {
+    tx.removeBinding(agentId);
+    removed.push('binding');
+  }
+  if (journal.stepStarted(op, 'agent') &&
+      tx.config.agents.list.some(a => a.id === agentId && a.workspace === workspacePath)) {
+    tx.removeAgent(agentId);
+    removed.push('agent');
+  }
+
+  return removed;
+}
+
+/**
+ * Record removal of a fractal's group config, binding and agent on a transaction.
+ * What was removed is journaled in op (before the write) so it can be restored.
+ */
+function removeFractalConfig(tx, fractal, op) {
+  const { agentId, roomId } = fractal;
+  const bindingIndex = tx.config.bindings.findIndex(b => b.agentId === agentId);
+  const agent = tx.config.agents.list.find(a => a.id === agentId);
+
+  journal.beginStep(op, 'group', { groupConfig: tx.groups()[roomId] || null });
+  tx.removeGroupConfig(roomId);
+
+  journal.beginStep(op, 'binding', {
+    binding: bindingIndex === -1 ? null : tx.config.bindings[bindingIndex],
+    bindingIndex
+  });
+  tx.removeBinding(agentId);
+
+  // A fractal paused with removeAgent=true has no agent entry left
+  if (agent) {
+    journal.beginStep(op, 'agent', { agent });
+    tx.removeAgent(agentId);
+  }
+}
+
+/**
+ * Record re-adding whatever removeFractalConfig journaled for op and is now missing
+ */
+function restoreFractalConfig(tx, op) {
+  const { agentId } = op;
+  const { roomId } = op.params;
+  const { agent } = journal.getStep(op, 'agent')?.data || {};
+  const { binding, bindingIndex } = journal.getStep(op, 'binding')?.data || {};
+  const { groupConfig } = journal.getStep(op, 'group')?.data || {};
+  const restored = [];
+
+  if (agent && !tx.config.agents.list.some(a => a.id === agentId)) {
+    tx.addAgent(agent);
+    restored.push('agent');
+  }
+  if (binding && !tx.config.bindings.some(b => b.agentId === agentId)) {
+    tx.addBinding(binding, bindingIndex);
+    restored.push('binding');
+  }
+  if (groupConfig && !tx.groups()[roomId]) {
+    tx.setGroupConfig(roomId, groupConfig);
+    restored.push('group');
+  }
+
+  return restored;
+}
+
+/**
+ * Mark the config steps started for op as done once the transaction landed
+ */
+function completeConfigSteps(op) {
+  CONFIG_STEPS
+    .filter(name => journal.getStep(op, name)?.status === 'started')
+    .forEach(name => journal.completeStep(op, name));
+}
+
+/**
+ * Finish a create operation whose config changes all landed
+ */
+async function completeCreate(op) {
+  const { params } = op;
+  const roomId = journal.getStep(op, 'room').data.roomId;
+  const workspacePath = journal.getStep(op, 'workspace').data.workspacePath;
+
+  if (!journal.stepDone(op, 'restart')) {
+    await journalStep(op, 'restart', () => openclaw.restart());
+  }
+
+  if (!registry.get(op.agentId)) {
+    await journalStep(op, 'registry', async () => {
+      await registerFractal(params, roomId, workspacePath);
+    });
+  }
+
+  journal.finish(op, 'completed', { recovered: true });
+  emitOperationEvent('fractal.created', op, { fractal: registry.get(op.agentId), recovered: true });
+}
+
+/**
+ * Finish a delete operation by re-running its remaining steps idempotently
+ */
+async function completeDelete(op) {
+  const { agentId } = op;
+  const { roomId, deleteWorkspace, deleteRoom } = op.params;
+  await openclaw.transaction(tx => {
+    tx.removeGroupConfig(roomId);
+    tx.removeBinding(agentId);
+    if (tx.config.agents.list.some(a => a.id === agentId)) {
+      tx.removeAgent(agentId);
+    }
+  }, `recover delete ${agentId}`);
+  if (deleteWorkspace) {
+    if (snapshots.archiveOnDelete && !journal.stepDone(op, 'archive')) {
+      await archiveWorkspace(agentId, op);
+    }
+    await workspace.deleteWorkspace(agentId);
+  }
+  if (deleteRoom && !journal.stepDone(op, 'room')) {
+    try {
+      await matrix.deleteRoom(roomId, { purge: true });
+    } catch (err) {
+      logger.warn(`Room deletion during recovery failed, room ${roomId} remains: ${err.message}`);
+    }
+  }
+
+  await openclaw.restart();
+
+  if (op.params.network && !journal.stepDone(op, 'network')) {
+    await removeFractalNetwork(agentId, op);
+  }
+  await releaseFractalPorts(agentId);
+  workspace.unwatchWorkspace(agentId);
+
+  if (registry.get(agentId)) {
+    await hierarchy.reparentChildren(agentId);
+    await registry.remove(agentId);
+  }
+  tokens.revokeForFractal(agentId);
+
+  journal.finish(op, 'completed', { recovered: true });
+  emitOperationEvent('fractal.deleted', op, { roomId, workspaceDeleted: Boolean(deleteWorkspace), recovered: true });
+}
+
+/**
+ * Startup recovery: finish or roll back operations interrupted by a crash
+ */
+async function recoverOperations() {
+  const incomplete = journal.incomplete();
+  const report = {
+    ranAt: new Date().toISOString(),
+    operations: []
+  };
+
+  if (incomplete.length === 0) {
+    logger.info('Recovery: no incomplete operations');
+    return report;
+  }
+
+  logger.warn(`Recovery: ${incomplete.length} incomplete operation(s) found`);
+
+  // Batch items are recovered together with their batch
+  for (const op of incomplete.filter(op => !op.parentId)) {
+    const entry = { id: op.id, type: op.type, agentId: op.agentId, lastStep: op.steps[op.steps.length - 1]?.name || null };
+
+    try {
+      if (op.type === 'create' && journal.stepDone(op, 'group')) {
+        // All config changes landed: roll forward
+        await completeCreate(op);
+        entry.action = 'completed';
+      } else if (op.type === 'create') {
+        const undone = await rollbackCreate(op, new Error('Interrupted, rolled back on startup'));
+        entry.action = op.status === 'rolled_back' ? 'rolled_back' : 'rollback_failed';
+        entry.undone = undone;
+        entry.orphanedRoom = op.orphanedRoom || null;
+      } else if (op.type === 'delete') {
+        await completeDelete(op);
+        entry.action = 'completed';
+      } else if (op.type === 'batch') {
+        entry.action = await recoverBatch(op);
+      } else {
+        entry.action = 'skipped';
+      }
+    } catch (err) {
+      entry.action = 'failed';
+      entry.error = err.message;
+      logger.error(`Recovery of ${op.id} failed:`, err.message);
+    }
+
+    logger.info(`Recovery: ${op.type} ${op.agentId} (${op.id}) → ${entry.action}`);
+    report.operations.push(entry);
+  }
+
+  return report;
+}
+
+/**
+ * GET /fractal - List all fractals
+ */
+function listFractals(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const parentId = url.searchParams.get('parentId');
+  const fractals = registry.list()
+    .filter(f => visibleTo(req, f.agentId))
+    .filter(f => !parentId || f.parentId === parentId);
+  respondJSON(res, 200, {
+    success: true,
+    count: fractals.length,
+    fractals
+  });
+}
+
+/**
+ * GET /fractal/:id/tree - A fractal's subtree, with its ancestors
+ */
+function getFractalTree(req, res, agentId) {
+  if (!registry.get(agentId)) {
+    return respondError(res, 404, 'Fractal not found');
+  }
+
+  respondJSON(res, 200, {
+    success: true,
+    agentId,
+    depth: hierarchy.depth(agentId),
+    maxDepth: hierarchy.maxDepth,
+    ancestors: hierarchy.ancestors(agentId).filter(id => visibleTo(req, id)),
+    tree: hierarchy.tree(agentId)
+  });
+}
+
+/**
+ * GET /fractal/:id/network - Effective network policy, with the live Docker network and rules
+ */
+async function getFractalNetwork(req, res, agentId) {
+  try {
+    const fractal = registry.get(agentId);
+
+    if (!fractal) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    const currentConfig = await openclaw.getConfig();
+    const agent = currentConfig.agents?.list?.find(a => a.id === agentId) || fractal.pausedState?.agent;
+    const sandboxNetwork = agent?.sandbox?.docker?.network || null;
+
+    if (!fractal.network) {
+      return respondJSON(res, 200, {
+        success: true,
+        agentId,
+        profile: null,
+        policy: null,
+        sandboxNetwork,
+        note: 'No network profile: the agent uses the shared sandbox network'
+      });
+    }
+
+    const expectedNetwork = networks.networkName(agentId);
+    respondJSON(res, 200, {
+      success: true,
+      agentId,
+      profile: fractal.network.profile,
+      policy: fractal.network,
+      network: expectedNetwork,
+      bridge: networks.bridgeName(agentId),
+      sandboxNetwork,
+      ...await networks.inspect(agentId, fractal.network),
+      inSync: sandboxNetwork === expectedNetwork
+    });
+  } catch (err) {
+    logger.error('Failed to inspect network:', err);
+    respondError(res, 500, 'Failed to inspect network', err.message);
+  }
+}
+
+/**
+ * POST /fractal/:id/network/refresh - Re-resolve allowlisted domains and re-apply the network and rules
+ */
+async function refreshFractalNetwork(req, res, agentId) {
+  const fractal = registry.get(agentId);
+
+  if (!fractal) {
+    return respondError(res, 404, 'Fractal not found');
+  }
+  if (!fractal.network) {
+    return respondError(res, 409, 'Fractal has no network profile');
+  }
+  if (!networks.profiles[fractal.network.profile]) {
+    return respondError(res, 409, `Network profile '${fractal.network.profile}' is no longer configured`);
+  }
+
+  let policy;
+  try {
+    policy = await networks.resolve({ profile: fractal.network.profile, allow: fractal.network.allow });
+  } catch (err) {
+    return respondError(res, 502, 'Failed to resolve allowlist', err.message);
+  }
+
+  try {
+    await networks.create(agentId, policy);
+    const updated = await registry.update(agentId, { network: policy });
+    logger.info(`Network refreshed for ${agentId} (${policy.profile})`);
+
+    respondJSON(res, 200, {
+      success: true,
+      fractal: updated,
+      ...await networks.inspect(agentId, policy)
+    });
+  } catch (err) {
+    logger.error('Network refresh failed:', err);
+    respondError(res, 500, 'Network refresh failed', err.message);
+  }
+}
+
+/**
+ * GET /network/profiles - Configured network profiles
+ */
+function listNetworkProfiles(req, res) {
+  const profiles = networks.listProfiles();
+
+  respondJSON(res, 200, {
+    success: true,
+    count: profiles.length,
+    defaultProfile: networks.defaultProfile,
+    profiles
+  });
+}
+
+/**
+ * Re-apply DOCKER-USER rules after a reboot or firewall reload (iptables rules don't persist)
+ */
+async function restoreNetworkRules() {
+  for (const fractal of registry.list().filter(f => f.network)) {
+    try {
+      await networks.create(fractal.agentId, fractal.network);
+    } catch (err) {
+      logger.error(`Failed to restore network for ${fractal.agentId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * GET /fractal/:id/ports - A fractal's forwarded ports
+ */
+function listFractalPorts(req, res, agentId) {
+  if (!registry.get(agentId)) {
+    return respondError(res, 404, 'Fractal not found');
+  }
+
+  const list = ports.list(agentId);
+  respondJSON(res, 200, {
+    success: true,
+    agentId,
+    count: list.length,
+    ports: list
+  });
+}
+
+/**
+ * POST /fractal/:id/ports - Allocate a host port and forward it to the fractal's sandbox container
+ */
+async function allocateFractalPort(req, res, agentId) {
+  try {
+    const body = await readJSONBody(req);
+    const fractal = registry.get(agentId);
+
+    if (!fractal) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+    if (fractal.status === 'deleting') {
+      return respondError(res, 409, 'Fractal is being deleted');
+    }
+
+    const errors = ports.validate(body);
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
+    }
+
+    const allocation = await ports.allocate(agentId, body);
+    respondJSON(res, 201, {
+      success: true,
+      port: allocation
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Port allocation failed:', err);
+    respondError(res, 500, 'Port allocation failed', err.message);
+  }
+}
+
+/**
+ * DELETE /fractal/:id/ports/:port - Stop forwarding a port and free it
+ */
+async function releaseFractalPort(req, res, agentId, port) {
+  try {
+    if (!registry.get(agentId)) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    const allocation = await ports.release(agentId, port);
+    if (!allocation) {
+      return respondError(res, 404, `Port ${port} is not allocated to '${agentId}'`);
+    }
+
+    respondJSON(res, 200, {
+      success: true,
+      message: 'Port released',
+      port: allocation
+    });
+  } catch (err) {
+    logger.error('Port release failed:', err);
+    respondError(res, 500, 'Port release failed', err.message);
+  }
+}
+
+/**
+ * GET /ports - All forwarded ports and the reserved range
+ */
+function listPorts(req, res) {
+  const list = ports.list();
+
+  respondJSON(res, 200, {
+    success: true,
+    range: { start: ports.rangeStart, end: ports.rangeEnd },
+    count: list.length,
+    available: ports.rangeEnd - ports.rangeStart + 1 - list.length,
+    ports: list
+  });
+}
+
+/**
+ * GET /fractal/:id/containers - The fractal's sandbox containers on every configured daemon
+ */
+async function listFractalContainers(req, res, agentId) {
+  try {
+    if (!registry.get(agentId)) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    const { containers, errors } = await docker.findContainers(agentId);
+    respondJSON(res, 200, {
+      success: true,
+      agentId,
+      daemons: docker.daemons.map(daemon => daemon.host),
+      count: containers.length,
+      containers,
+      ...(errors.length > 0 && { errors })
+    });
+  } catch (err) {
+    logger.error('Container listing failed:', err);
+    respondError(res, 500, 'Container listing failed', err.message);
+  }
+}
+
+/**
+ * GET /fractal/:id/containers/:containerId - `docker inspect` of one of them, with its daemon
+ */
+async function getFractalContainer(req, res, agentId, containerId) {
+  try {
+    if (!registry.get(agentId)) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    respondJSON(res, 200, {
+      success: true,
+      container: await docker.inspect(agentId, containerId)
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Container inspect failed:', err);
+    respondError(res, 500, 'Container inspect failed', err.message);
+  }
+}
+
+/**
+ * POST /fractal/:id/containers/:containerId/(restart|stop) - `?t=` seconds before SIGKILL
+ * DELETE /fractal/:id/containers/:containerId - `?force=true` also removes a running one
+ */
+async function controlFractalContainer(req, res, agentId, containerId, action) {
+  try {
+    if (!registry.get(agentId)) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const timeout = url.searchParams.has('t') ? Number(url.searchParams.get('t')) : undefined;
+    if (timeout !== undefined && !(Number.isInteger(timeout) && timeout >= 0)) {
+      return respondError(res, 400, 'Validation failed', ['t must be a non-negative integer (seconds)']);
+    }
+
+    const container = action === 'remove'
+      ? await docker.remove(agentId, containerId, url.searchParams.get('force') === 'true')
+      : await docker[action](agentId, containerId, timeout);
+
+    logger.info(`Container ${container.name} on ${container.daemon}: ${action}`);
+    respondJSON(res, 200, {
+      success: true,
+      message: { restart: 'Container restarted', stop: 'Container stopped', remove: 'Container removed' }[action],
+      container
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error(`Container ${action} failed:`, err);
+    respondError(res, 500, `Container ${action} failed`, err.message);
+  }
+}
+
+/**
+ * GET /fractal/:id/workspace/permissions - Ownership and mode violations in the workspace
+ */
+async function getWorkspacePermissions(req, res, agentId) {
+  try {
+    if (!registry.get(agentId)) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    const report = await workspace.checkPermissions(agentId);
+    respondJSON(res, 200, {
+      success: true,
+      agentId,
+      ok: report.violations.length === 0,
+      count: report.violations.length,
+      ...report
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return respondError(res, 404, 'Workspace not found');
+    }
+    logger.error('Permission check failed:', err);
+    respondError(res, 500, 'Permission check failed', err.message);
+  }
+}
+
+/**
+ * POST /fractal/:id/workspace/permissions - Repair ownership and modes now
+ */
+async function repairWorkspacePermissions(req, res, agentId) {
+  try {
+    if (!registry.get(agentId)) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    const result = await workspace.repairPermissions(agentId);
+    respondJSON(res, result.failed.length > 0 ? 500 : 200, {
+      success: result.failed.length === 0,
+      agentId,
+      workspace: result.workspace,
+      fixed: result.fixed,
+      failed: result.failed
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return respondError(res, 404, 'Workspace not found');
+    }
+    logger.error('Permission repair failed:', err);
+    respondError(res, 500, 'Permission repair failed', err.message);
+  }
+}
+
+/**
+ * GET /fractal/:id/snapshots - Workspace snapshots, newest first
+ * (archives of a deleted fractal stay listed under its ID for unbound tokens)
+ */
+async function listSnapshots(req, res, agentId) {
+  try {
+    // A fractal only sees its own snapshots, not those of an earlier fractal with its ID
+    const list = await snapshots.list(agentId, registry.get(agentId)?.createdAt);
+
+    if (!registry.get(agentId) && (req.auth.fractalId || list.length === 0)) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    respondJSON(res, 200, {
+      success: true,
+      agentId,
+      count: list.length,
+      totalSize: list.reduce((sum, snapshot) => sum + snapshot.size, 0),
+      retention: { keep: snapshots.keep, maxAgeDays: snapshots.maxAgeDays, archiveRetentionDays: snapshots.archiveRetentionDays },
+      snapshots: list.map(snapshot => snapshots.format(snapshot))
+    });
+  } catch (err) {
+    logger.error('Failed to list snapshots:', err);
+    respondError(res, 500, 'Failed to list snapshots', err.message);
+  }
+}
+
+/**
+ * POST /fractal/:id/snapshots - Archive the workspace now
+ */
+async function createSnapshot(req, res, agentId) {
+  try {
+    const body = await readJSONBody(req);
+    const fractal = registry.get(agentId);
+
+    if (!fractal) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+    if (body.label !== undefined && (typeof body.label !== 'string' || body.label.length > 200)) {
+      return respondError(res, 400, 'Validation failed', ['label must be a string of at most 200 characters']);
+    }
+
+    const snapshot = await snapshots.create(agentId, { label: body.label || null, fractalCreatedAt: fractal.createdAt });
+    respondJSON(res, 201, {
+      success: true,
+      snapshot: snapshots.format(snapshot)
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return respondError(res, 404, 'Workspace not found');
+    }
+    logger.error('Snapshot failed:', err);
+    respondError(res, 500, 'Snapshot failed', err.message);
+  }
+}
+
+/**
+ * POST /fractal/:id/snapshots/:snapshotId/restore - Roll the workspace back to a snapshot
+ */
+async function restoreSnapshot(req, res, agentId, snapshotId) {
+  try {
+    const fractal = registry.get(agentId);
+
+    if (!fractal) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+    if (fractal.status === 'deleting') {
+      return respondError(res, 409, 'Fractal is being deleted');
+    }
+
+    const result = await snapshots.restore(agentId, snapshotId, fractal.createdAt);
+    if (!result) {
+      return respondError(res, 404, 'Snapshot not found');
+    }
+
+    respondJSON(res, 200, {
+      success: true,
+      message: `Workspace restored from ${snapshotId}`,
+      snapshot: snapshots.format(result.snapshot),
+      backup: result.backup && snapshots.format(result.backup)
+    });
+  } catch (err) {
+    logger.error('Snapshot restore failed:', err);
+    respondError(res, 500, 'Snapshot restore failed', err.message);
+  }
+}
+
+/**
+ * DELETE /fractal/:id/snapshots/:snapshotId - Delete a snapshot
+ */
+async function deleteSnapshot(req, res, agentId, snapshotId) {
+  try {
+    if (!registry.get(agentId) && req.auth.fractalId) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    const snapshot = await snapshots.remove(agentId, snapshotId, registry.get(agentId)?.createdAt);
+    if (!snapshot) {
+      return respondError(res, 404, 'Snapshot not found');
+    }
+
+    respondJSON(res, 200, {
+      success: true,
+      message: 'Snapshot deleted',
+      snapshot: snapshots.format(snapshot)
+    });
+  } catch (err) {
+    logger.error('Snapshot deletion failed:', err);
+    respondError(res, 500, 'Snapshot deletion failed', err.message);
+  }
+}
+
+/**
+ * GET /fractal/:id/export - Bundle the fractal (registry entry, gateway config, workspace)
+ * for POST /fractal/import on another host
+ */
+async function exportFractal(req, res, agentId) {
+  try {
+    const fractal = registry.get(agentId);
+
+    if (!fractal) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+    if (fractal.status === 'deleting') {
+      return respondError(res, 409, 'Fractal is being deleted');
+    }
+
+    const bundle = await bundles.export(fractal, await gatewayEntries(fractal));
+
+    respondJSON(res, 200, {
+      success: true,
+      bundle
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return respondError(res, 404, 'Workspace not found');
+    }
+    logger.error('Fractal export failed:', err);
+    respondError(res, 500, 'Fractal export failed', err.message);
+  }
+}
+
+/**
+ * A fractal's agent entry, binding and group config from the live config
+ * (a paused fractal's are kept in its pausedState)
+ */
+async function gatewayEntries(fractal) {
+  const currentConfig = await openclaw.getConfig();
+  const { pausedState = {} } = fractal;
+
+  return {
+    agent: currentConfig.agents.list.find(a => a.id === fractal.agentId) || pausedState.agent || null,
+    binding: (currentConfig.bindings || []).find(b => b.agentId === fractal.agentId) || pausedState.binding || null,
+    groupConfig: currentConfig.channels?.matrix?.groups?.[fractal.roomId] || pausedState.groupConfig || null
+  };
+}
+
+/**
+ * POST /fractal/:id/clone - New fractal from an existing one: a copy of its workspace
+ * (memory/ optional) and agent entry, in a new room. Other fields default to the source's.
+ */
+async function cloneFractal(req, res, sourceId) {
+  try {
+    const body = await readJSONBody(req);
+    const source = registry.get(sourceId);
+
+    if (!source) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+    if (source.status === 'deleting') {
+      return respondError(res, 409, 'Fractal is being deleted');
+    }
+
+    const { includeMemory = true, ...overrides } = body;
+    if (typeof includeMemory !== 'boolean') {
+      return respondError(res, 400, 'Validation failed', ['includeMemory must be a boolean']);
+    }
+
+    const requested = {
+      purpose: source.purpose,
+      persona: source.persona,
+      model: source.model,
+      autoReply: source.autoReply,
+      template: templates.get(source.template) ? source.template : undefined,
+      variables: source.variables,
+      // A fractal-bound caller's clones stay in its subtree
+      parentId: visibleTo(req, source.parentId) ? source.parentId : req.auth.fractalId,
+      resources: source.resources,
+      network: source.network && { profile: source.network.profile, allow: source.network.allow },
+      ...overrides
+    };
+
+    checkActsFor(req, requested.parentId);
+
+    const errors = validateCreateRequest(requested);
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
+    }
+
+    const params = await resolveCreateParams(requested);
+
+    checkFractalLimit();
+    checkChildQuota([params.parentId]);
+    checkResourceBudget([params.resources]);
+
+    if (existsSync(path.join(workspace.baseDir, params.agentId))) {
+      return respondError(res, 409, `Workspace ${path.join(workspace.baseDir, params.agentId)} already exists`);
+    }
+
+    const { agent, binding, groupConfig } = await gatewayEntries(source);
+    params.source = {
+      type: 'clone',
+      agentId: sourceId,
+      includeMemory,
+      newPersona: overrides.persona !== undefined,
+      agent,
+      binding,
+      groupConfig,
+      origin: { agentId: sourceId, includeMemory }
+    };
+
+    if (proposals) {
+      if (proposals.findOpen(params.agentId)) {
+        return respondError(res, 409, `A proposal for '${params.agentId}' is already open`);
+      }
+
+      const proposal = await proposals.propose(params);
+      return respondJSON(res, 202, {
+        success: true,
+        message: 'Proposal posted to admin room for approval',
+        proposal
+      });
+    }
+
+    await startProvisioning(req, res, params, 'Fractal clone started');
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Fractal clone failed:', err);
+    respondError(res, 500, 'Fractal clone failed', err.message);
+  }
+}
+
+/**
+ * POST /fractal/import - Recreate an exported fractal on this host.
+ * Runs the normal creation flow, in a new room or an existing one (roomId),
+ * with the bundled workspace and agent entry instead of template files.
+ */
+async function importFractal(req, res) {
+  try {
+    const body = await readJSONBody(req, bundles.maxRequestBytes);
+    // The audit log records where the bundle came from, not the workspace it carries
+    req.body = {
+      ...body,
+      bundle: { agentId: body.bundle?.fractal?.agentId, exportedAt: body.bundle?.exportedAt, sha256: body.bundle?.workspace?.sha256 }
+    };
+
+    const bundleErrors = bundles.validate(body.bundle);
+    if (body.roomId !== undefined && (typeof body.roomId !== 'string' || !/^![^:]+:.+$/.test(body.roomId))) {
+      bundleErrors.push('roomId must be a Matrix room ID (!opaque:server)');
+    }
+    if (bundleErrors.length > 0) {
+      return respondError(res, 400, 'Validation failed', bundleErrors);
+    }
+
+    // Registry fields carry over; the request may rename or re-home the fractal
+    const { fractal } = body.bundle;
+    const imported = {
+      agentId: body.agentId || fractal.agentId,
+      name: body.name || fractal.name,
+      purpose: fractal.purpose,
+      persona: fractal.persona,
+      model: body.model || fractal.model,
+      autoReply: fractal.autoReply,
+      template: templates.get(fractal.template) ? fractal.template : undefined,
+      variables: fractal.variables,
+      parentId: body.parentId !== undefined ? body.parentId : (registry.get(fractal.parentId) ? fractal.parentId : null),
+      maxChildren: fractal.maxChildren,
+      resources: body.resources !== undefined ? body.resources : fractal.resources,
+      network: body.network !== undefined
+        ? body.network
+        : fractal.network && { profile: fractal.network.profile, allow: fractal.network.allow },
+      inviteUsers: body.roomId ? undefined : body.inviteUsers
+    };
+
+    checkActsFor(req, imported.parentId);
+
+    const errors = validateCreateRequest(imported);
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
+    }
+    if (fractal.template && !imported.template) {
+      logger.warn(`Template '${fractal.template}' not found on this host, importing ${imported.agentId} with the default`);
+    }
+
+    const params = await resolveCreateParams(imported);
+
+    checkFractalLimit();
+    checkChildQuota([params.parentId]);
+    checkResourceBudget([params.resources]);
+
+    const roomOwner = body.roomId && registry.list().find(f => f.roomId === body.roomId);
+    if (roomOwner) {
+      return respondError(res, 409, `Room ${body.roomId} already belongs to fractal '${roomOwner.agentId}'`);
+    }
+    if (existsSync(path.join(workspace.baseDir, params.agentId))) {
+      return respondError(res, 409, `Workspace ${path.join(workspace.baseDir, params.agentId)} already exists`);
+    }
+
+    let archive;
+    try {
+      archive = await bundles.stage(body.bundle);
+    } catch (err) {
+      return respondError(res, 400, 'Validation failed', [err.message]);
+    }
+
+    params.source = {
+      type: 'import',
+      archive,
+      root: body.bundle.workspace.root,
+      roomId: body.roomId || null,
+      agent: bundles.importableAgent(body.bundle.agent),
+      binding: body.bundle.binding || null,
+      groupConfig: body.bundle.groupConfig,
+      origin: {
+        agentId: fractal.agentId,
+        host: body.bundle.exportedFrom?.host || null,
+        exportedAt: body.bundle.exportedAt || null
+      }
+    };
+
+    await startProvisioning(req, res, params, 'Fractal import started', () => bundles.discard(archive));
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Fractal import failed:', err);
+    respondError(res, 500, 'Fractal import failed', err.message);
+  }
+}
+
+/**
+ * GET /fractal/:id - Get fractal details
+ */
+function getFractal(req, res, agentId) {
+  const fractal = registry.get(agentId);
+  
+  if (!fractal) {
+    return respondError(res, 404, 'Fractal not found');
+  }
+
+  respondJSON(res, 200, {
+    success: true,
+    fractal
+  });
+}
+
+/**
+ * GET /fractal/:id/status - Live checks: room, activity, gateway config, sandbox container, workspace
+ */
+async function getFractalStatus(req, res, agentId) {
+  try {
+    const fractal = registry.get(agentId);
+
+    if (!fractal) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    respondJSON(res, 200, {
+      success: true,
+      ...await statusChecker.check(fractal)
+    });
+  } catch (err) {
+    logger.error('Status check failed:', err);
+    respondError(res, 500, 'Status check failed', err.message);
+  }
+}
+
+/**
+ * PATCH /fractal/:id - Update model, persona, purpose or room settings
+ */
+async function updateFractal(req, res, agentId) {
+  try {
+    const fractal = registry.get(agentId);
+
+    if (!fractal) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    if (fractal.status === 'paused') {
+      return respondError(res, 409, 'Fractal is paused, resume it before updating');
+    }
+
+    const params = await readJSONBody(req);
+
+    const errors = validateUpdateRequest(params);
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
+    }
+
+    if (params.maxChildren !== undefined && req.auth.fractalId === agentId) {
+      return respondError(res, 403, 'A fractal-bound token cannot change its own fractal\'s child quota');
+    }
+
+    if (params.resources !== undefined && req.auth.fractalId === agentId) {
+      return respondError(res, 403, 'A fractal-bound token cannot change its own fractal\'s resource limits');
+    }
+
+    // New limits: merged over the current ones, checked against the budget
+    let resources = null;
+    if (params.resources !== undefined) {
+      resources = quotas.merge(fractal.resources, params.resources);
+
+      const unlimited = quotas.unlimited(resources);
+      if (unlimited.length > 0) {
+        return respondError(res, 400, 'Validation failed', [
+          `resources.${unlimited.join(', resources.')} cannot be removed: the host budget limits ${unlimited.join(', ')}`
+        ]);
+      }
+      checkResourceBudget([resources], [agentId]);
+    }
+
+    logger.info(`Updating fractal: ${agentId}`);
+
+    // Step 1: Regenerate persona files
+    if (params.persona !== undefined || params.purpose !== undefined) {
+      logger.info('Step 1/3: Regenerating workspace persona files');
+      await workspace.updatePersona(agentId, {
+        template: fractal.template,
+        variables: fractal.variables,
+        name: fractal.name,
+        purpose: params.purpose !== undefined ? params.purpose : fractal.purpose,
+        persona: params.persona,
+        model: params.model !== undefined ? params.model : fractal.model,
+        roomId: fractal.roomId
+      });
+    } else {
+      logger.info('Step 1/3: Workspace unchanged');
+    }
+
+    // Step 2: Agent entry and room settings in one config transaction
+    const configChanged = ['model', 'purpose', 'autoReply', 'resources'].some(field => params[field] !== undefined);
+    logger.info(`Step 2/3: ${configChanged ? 'Updating agent and group config' : 'Config unchanged'}`);
+    await openclaw.transaction(tx => {
+      if (params.model !== undefined || params.purpose !== undefined) {
+        tx.updateAgent(agentId, agent => {
+          if (params.model !== undefined) {
+            agent.model = { ...agent.model, primary: params.model };
+          }
+          if (params.purpose !== undefined) {
+            agent.identity = { ...agent.identity, theme: params.purpose || 'Fractal agent' };
+          }
+        });
+      }
+      if (resources) {
+        const removed = Object.keys(params.resources).filter(key => params.resources[key] === null);
+        tx.updateAgent(agentId, agent => {
+          agent.sandbox = { ...agent.sandbox, docker: quotas.applyToDocker(agent.sandbox?.docker, resources, removed) };
+        });
+      }
+      if (params.autoReply !== undefined) {
+        tx.setGroupConfig(fractal.roomId, {
+          ...tx.groups()[fractal.roomId],
+          autoReply: params.autoReply
+        });
+      }
+    }, `update ${agentId}`);
+
+    // Step 3: Restart gateway (registry-only changes such as maxChildren don't need one)
+    if (configChanged || params.persona !== undefined) {
+      logger.info('Step 3/3: Restarting gateway');
+      await openclaw.restart();
+    } else {
+      logger.info('Step 3/3: Restart not needed');
+    }
+
+    const changes = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (params[field] !== undefined) changes[field] = params[field];
+    }
+    if (resources) changes.resources = resources;
+    const updated = await registry.update(agentId, changes);
+
+    logger.info(`✅ Fractal updated: ${agentId} (${Object.keys(changes).join(', ')})`);
+
+    respondJSON(res, 200, {
+      success: true,
+      fractal: updated
+    });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Fractal update failed:', err);
+    respondError(res, 500, 'Fractal update failed', err.message);
+  }
+}
+
+/**
+ * POST /fractal/:id/pause - Detach a fractal from its room without destroying it
+ * Keeps workspace, room and registry entry; ?removeAgent=true also removes the agent entry
+ */
+async function pauseFractal(req, res, agentId) {
+  try {
+    const fractal = registry.get(agentId);
+
+    if (!fractal) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+    if (fractal.status !== 'active') {
+      return respondError(res, 409, `Fractal is ${fractal.status}, only active fractals can be paused`);
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const removeAgent = url.searchParams.get('removeAgent') === 'true';
+
+    logger.info(`Pausing fractal: ${agentId}`);
+
+    // Steps 1-3: Group config, binding and (optionally) agent in one transaction
+    logger.info(`Steps 1-3/4: Removing group config, binding${removeAgent ? ' and agent' : ''}`);
+    let pausedState;
+    await openclaw.transaction(tx => {
+      // Snapshot what we are about to remove so resume can restore it exactly.
+      // One saved by an earlier, half-finished pause wins: the config it describes may be gone.
+      const bindingIndex = tx.config.bindings.findIndex(b => b.agentId === agentId);
+      const agent = tx.config.agents.list.find(a => a.id === agentId) || null;
+      pausedState = fractal.pausedState || {
+        binding: bindingIndex === -1 ? null : tx.config.bindings[bindingIndex],
+        bindingIndex,
+        groupConfig: tx.groups()[fractal.roomId] || null,
+        agent: removeAgent ? agent : null,
+        pausedAt: new Date().toISOString()
+      };
+
+      tx.removeGroupConfig(fractal.roomId);
+      tx.removeBinding(agentId);
+      if (pausedState.agent && agent) {
+        tx.removeAgent(agentId);
+      }
+    }, `pause ${agentId}`);
+
+    // The config is written: from here on the fractal is paused, even if the restart fails
+    await registry.update(agentId, { pausedState });
+    const updated = await registry.updateStatus(agentId, 'paused');
+
+    logger.info('Step 4/4: Restarting gateway');
+    await openclaw.restart();
+
+    webhooks.emit('fractal.paused', { agentId, roomId: fractal.roomId, removeAgent, fractal: updated });
+
+    logger.info(`⏸️ Fractal paused: ${agentId}`);
+
+    respondJSON(res, 200, {
+      success: true,
+      fractal: updated
+    });
+
+  } catch (err) {
+    logger.error('Fractal pause failed:', err);
+    respondError(res, 500, 'Fractal pause failed', err.message);
+  }
+}
+
+/**
+ * POST /fractal/:id/resume - Restore a paused fractal's agent, binding and group config
+ */
+async function resumeFractal(req, res, agentId) {
+  try {
+    const fractal = registry.get(agentId);
+
+    if (!fractal) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+    if (fractal.status !== 'paused') {
+      return respondError(res, 409, `Fractal is ${fractal.status}, only paused fractals can be resumed`);
+    }
+
+    checkFractalLimit();
+    checkResourceBudget([fractal.resources || {}]);
+
+    const { pausedState = {} } = fractal;
+
+    logger.info(`Resuming fractal: ${agentId}`);
+
+    // Steps 1-3: Agent, binding (at its old slot) and group config in one transaction
+    logger.info('Steps 1-3/4: Restoring agent, binding and group config');
+    await openclaw.transaction(tx => {
+      if (pausedState.agent) {
+        tx.addAgent(pausedState.agent);
+      }
+      tx.addBinding(
+        pausedState.binding || {
+          agentId,
+          match: { channel: 'matrix', peer: { kind: 'channel', id: fractal.roomId } }
+        },
+        pausedState.binding ? pausedState.bindingIndex : null
+      );
+      tx.setGroupConfig(
+        fractal.roomId,
+        pausedState.groupConfig || { autoReply: fractal.autoReply !== undefined ? fractal.autoReply : true }
+      );
+    }, `resume ${agentId}`);
+
+    // As in pause: the config is back, so the fractal is active even if the restart fails
+    await registry.update(agentId, { pausedState: undefined });
+    const updated = await registry.updateStatus(agentId, 'active');
+
+    logger.info('Step 4/4: Restarting gateway');
+    await openclaw.restart();
+
+    webhooks.emit('fractal.resumed', { agentId, roomId: fractal.roomId, fractal: updated });
+
+    logger.info(`▶️ Fractal resumed: ${agentId}`);
+
+    respondJSON(res, 200, {
+      success: true,
+      fractal: updated
+    });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Fractal resume failed:', err);
+    respondError(res, 500, 'Fractal resume failed', err.message);
+  }
+}
+
+/**
+ * DELETE /fractal/:id - Delete fractal
+ */
+async function deleteFractal(req, res, agentId) {
+  try {
+    const fractal = registry.get(agentId);
+    
+    if (!fractal) {
+      return respondError(res, 404, 'Fractal not found');
+    }
+
+    // Parse query params for optional cleanup
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const deleteRoom = url.searchParams.get('deleteRoom') === 'true';
+    const deleteWorkspace = url.searchParams.get('deleteWorkspace') === 'true';
+    const roomOptions = roomDeletionOptions(Object.fromEntries(url.searchParams));
+
+    // Children are deleted with it (cascade) or moved up to its parent (reparent)
+    const childMode = url.searchParams.get('children');
+    const children = hierarchy.children(agentId);
+    if (childMode && !CHILD_MODES.includes(childMode)) {
+      return respondError(res, 400, `children must be one of ${CHILD_MODES.join(', ')}`);
+    }
+    if (children.length > 0 && !childMode) {
+      return respondError(res, 409, 'Fractal has children, set ?children=cascade or ?children=reparent',
+        children.map(child => child.agentId)
+      );
+    }
+    if (children.length > 0 && childMode === 'cascade') {
+      return await deleteSubtree(req, res, fractal, url);
+    }
+    if (childMode === 'reparent') {
+      checkReparentQuota(agentId);
+    }
+
+    const lock = acquireAgentLock(agentId, 'delete');
+    let op;
+    try {
+      op = journal.start('delete', agentId, {
+        roomId: fractal.roomId,
+        parentId: fractal.parentId || null,
+        createdAt: fractal.createdAt,
+        deleteRoom,
+        deleteWorkspace,
+        network: Boolean(fractal.network)
+      });
+    } catch (err) {
+      lock.release();
+      throw err;
+    }
+    const run = runWithLock(lock, () => removeFractal(fractal, op, roomOptions));
+
+    if (waitRequested(req)) {
+      const { roomDeletion, archive } = await run;
+      return respondJSON(res, 200, {
+        success: true,
+        message: 'Fractal deleted',
+        agentId,
+        roomDeletion,
+        archive
+      });
+    }
+
+    run.catch(() => {});
+    respondJSON(res, 202, {
+      success: true,
+      message: 'Fractal deletion started',
+      operation: formatOperation(op)
+    });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Fractal deletion failed:', err);
+    respondError(res, 500, 'Fractal deletion failed', err.message);
+  }
+}
+
+/**
+ * DELETE /fractal/:id?children=cascade - Delete a fractal and its descendants
+ * as one batch (one config transaction, one restart, all or nothing)
+ */
+async function deleteSubtree(req, res, fractal, url) {
+  const { agentId } = fractal;
+  const options = Object.fromEntries(url.searchParams);
+  const specs = [...hierarchy.descendants(agentId), fractal].map(f => ({
+    ...options,
+    agentId: f.agentId,
+    deleteRoom: options.deleteRoom === 'true',
+    deleteWorkspace: options.deleteWorkspace === 'true'
+  }));
+
+  logger.info(`Cascading delete of ${agentId}: ${specs.map(spec => spec.agentId).join(', ')}`);
+  const { batch, run } = startBatch([], specs);
+
+  if (waitRequested(req)) {
+    const { deleted } = await run;
+    return respondJSON(res, 200, {
+      success: true,
+      message: `Fractal and ${specs.length - 1} descendant(s) deleted`,
+      agentId,
+      deleted
+    });
+  }
+
+  run.catch(() => {});
+  respondJSON(res, 202, {
+    success: true,
+    message: `Cascading deletion of ${specs.length} fractal(s) started`,
+    operation: formatOperation(batch)
+  });
+}
+
+/**
+ * Run the delete steps for a fractal, journaled in op
+ */
+async function removeFractal(fractal, op, roomOptions) {
+  const { agentId } = fractal;
+  const { deleteRoom, deleteWorkspace } = op.params;
+  let roomDeletion = null;
+
+  logger.info(`Deleting fractal: ${agentId}`);
+
+  try {
+    // Step 1: Archive the workspace before anything is changed, so a failed archive deletes nothing
+    let archive = null;
+    if (deleteWorkspace && snapshots.archiveOnDelete) {
+      logger.info('Step 1/7: Archiving workspace');
+      archive = await archiveWorkspace(agentId, op);
+    } else {
+      logger.info('Step 1/7: No workspace archive needed');
+    }
+
+    // Steps 2-4: Group config, binding and agent in one transaction
+    logger.info('Steps 2-4/7: Removing group config, binding and agent');
+    await openclaw.transaction(tx => removeFractalConfig(tx, fractal, op), `delete ${agentId}`);
+    completeConfigSteps(op);
+    await registry.update(agentId, { status: 'deleting' });
+
+    // Step 5: Delete workspace (optional)
+    if (deleteWorkspace) {
+      logger.info('Step 5/7: Deleting workspace');
+      await journalStep(op, 'workspace', () => workspace.deleteWorkspace(agentId));
+    } else {
+      logger.info('Step 5/7: Preserving workspace');
+    }
+
+    // Step 6: Delete room (optional)
+    if (deleteRoom) {
+      logger.info('Step 6/7: Deleting Matrix room');
+      roomDeletion = await deleteFractalRoom(fractal, op, roomOptions);
+    } else {
+      logger.info('Step 6/7: Preserving Matrix room');
+    }
+
+    // Restart gateway
+    logger.info('Restarting gateway');
+    await journalStep(op, 'restart', () => openclaw.restart());
+
+    // Step 7: Network and firewall rules, once the agent's sandbox is gone
+    let networkRemoval = null;
+    if (fractal.network) {
+      logger.info('Step 7/7: Removing network');
+      networkRemoval = await removeFractalNetwork(agentId, op);
+    } else {
+      logger.info('Step 7/7: Shared sandbox network, nothing to remove');
+    }
+    const portsReleased = await releaseFractalPorts(agentId);
+    workspace.unwatchWorkspace(agentId);
+
+    // Update registry; any children move up to this fractal's parent
+    await journalStep(op, 'registry', async () => {
+      const moved = await hierarchy.reparentChildren(agentId);
+      if (moved.length > 0) {
+        logger.info(`Reparented ${moved.join(', ')} to ${fractal.parentId || 'root'}`);
+      }
+      await registry.remove(agentId);
+    });
+    const tokensRevoked = tokens.revokeForFractal(agentId);
+
+    journal.finish(op, 'completed', { result: { agentId, roomDeletion, archive, networkRemoval, portsReleased, tokensRevoked } });
+    emitOperationEvent('fractal.deleted', op, { roomId: fractal.roomId, workspaceDeleted: deleteWorkspace, roomDeletion, archive });
+    logger.info(`✅ Fractal deleted: ${agentId}`);
+    return { roomDeletion, archive };
+  } catch (err) {
+    logger.error('Fractal deletion failed:', err);
+    if (journal.stepDone(op, 'binding')) {
+      // The config is gone already: leave the operation in_progress so startup recovery finishes it
+      logger.error(`Deletion of ${agentId} will be finished on next startup`);
+      op.error = err.message;
+      journal.save();
+    } else {
+      journal.finish(op, 'failed', { error: err.message });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Archive a workspace that is about to be deleted, journaled in op.
+ * Returns the snapshot ID (null if there was no workspace).
+ */
+async function archiveWorkspace(agentId, op) {
+  const { snapshotId } = await journalStep(op, 'archive', async () => {
+    try {
+      const archive = await snapshots.create(agentId, { reason: 'delete', fractalCreatedAt: op.params.createdAt || null });
+      return { snapshotId: archive.id };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      logger.warn(`No workspace to archive for ${agentId}`);
+      return { snapshotId: null };
+    }
+  });
+  return snapshotId;
+}
+
+/**
+ * Delete a fractal's Matrix room, journaled in op.
+ * Failures are reported but don't abort: the agent is already gone.
+ */
+async function deleteFractalRoom(fractal, op, roomOptions) {
+  let roomDeletion;
+
+  journal.beginStep(op, 'room');
+  try {
+    roomDeletion = await matrix.deleteRoom(fractal.roomId, roomOptions);
+  } catch (err) {
+    logger.error(`Room deletion failed, room ${fractal.roomId} remains:`, err.message);
+    roomDeletion = { status: 'failed', error: err.message };
+  }
+  journal.completeStep(op, 'room', { status: roomDeletion.status });
+
+  return roomDeletion;
+}
+
+/**
+ * Remove a deleted fractal's Docker network and rules, journaled in op.
+ * Failures are reported but don't abort: the agent is already gone.
+ */
+async function removeFractalNetwork(agentId, op) {
+  journal.beginStep(op, 'network');
+  try {
+    const removal = await networks.teardown(agentId);
+    journal.completeStep(op, 'network', removal);
+    return { status: 'removed', ...removal };
+  } catch (err) {
+    logger.error(`Network removal failed for ${agentId}, remove ${networks.networkName(agentId)} by hand:`, err.message);
+    return { status: 'failed', error: err.message };
+  }
+}
+
+/**
+ * Free a deleted fractal's forwarded ports; never throws
+ */
+async function releaseFractalPorts(agentId) {
+  try {
+    return await ports.releaseAll(agentId);
+  } catch (err) {
+    logger.error(`Failed to release ports of ${agentId}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Room deletion options from config defaults and overrides
+ * (query parameters as strings, or batch spec fields as booleans)
+ */
+function roomDeletionOptions(overrides = {}) {
+  const defaults = config.matrix.roomDeletion || {};
+  const flag = (name, fallback) => {
+    const value = overrides[name];
+    return value === undefined ? fallback : value === true || value === 'true';
+  };
+
+  return {
+    farewellMessage: overrides.farewell || defaults.farewellMessage || null,
+    kickMembers: flag('kickMembers', defaults.kickMembers !== undefined ? defaults.kickMembers : true),
+    purge: flag('purgeRoom', defaults.purge !== undefined ? defaults.purge : true),
+    block: flag('blockRoom', defaults.block || false),
+    timeoutMs: (defaults.statusTimeoutSeconds || 60) * 1000
+  };
+}
+
+/**
+ * POST /fractals/batch - Create and delete several fractals with one gateway restart
+ */
+async function batchFractals(req, res) {
+  try {
+    const body = await readJSONBody(req);
+
+    // Creates need fractal:create, deletes fractal:delete
+    const missing = [
+      body.create?.length > 0 && !TokenStore.hasScope(req.auth, 'fractal:create') && 'fractal:create',
+      body.delete?.length > 0 && !TokenStore.hasScope(req.auth, 'fractal:delete') && 'fractal:delete'
+    ].filter(Boolean);
+    if (missing.length > 0) {
+      return respondError(res, 403, 'Insufficient scope', `requires ${missing.join(' and ')}`);
+    }
+
+    // A fractal-bound caller spawns under its own fractal by default
+    if (req.auth.fractalId && Array.isArray(body.create)) {
+      body.create
+        .filter(spec => spec && typeof spec === 'object' && spec.parentId === undefined)
+        .forEach(spec => { spec.parentId = req.auth.fractalId; });
+    }
+
+    if (Array.isArray(body.create)) {
+      body.create.filter(spec => spec && typeof spec === 'object').forEach(spec => checkActsFor(req, spec.parentId));
+    }
+
+    const errors = validateBatchRequest(body);
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
+    }
+
+    const creates = [];
+    for (const spec of body.create || []) {
+      creates.push(await resolveCreateParams(spec));
+    }
+    const deletes = expandCascades(body.delete || []);
+
+    creates.forEach(params => checkActsFor(req, params.parentId));
+    deletes.forEach(spec => checkActsFor(req, spec.agentId));
+
+    if (proposals && creates.length > 0) {
+      return respondError(res, 409, 'Batch creation is not available while proposals are enabled');
+    }
+
+    checkChildQuota(creates.map(params => params.parentId));
+    const deleted = new Set(deletes.map(spec => spec.agentId));
+    deletes.filter(spec => spec.children === 'reparent').forEach(spec => checkReparentQuota(spec.agentId, deleted));
+
+    const { batch, run } = startBatch(creates, deletes);
+
+    if (waitRequested(req)) {
+      const result = await run;
+      return respondJSON(res, 200, {
+        success: true,
+        ...result
+      });
+    }
+
+    run.catch(() => {});
+    respondJSON(res, 202, {
+      success: true,
+      message: 'Batch started',
+      operation: formatOperation(batch)
+    });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Batch failed:', err);
+    respondError(res, 500, 'Batch failed', err.message);
+  }
+}
+
+/**
+ * Add the descendants of every delete spec with children: 'cascade',
+ * deepest first and with the same options, ahead of the spec itself
+ */
+function expandCascades(specs) {
+  const listed = new Set(specs.map(spec => spec.agentId));
+  const expanded = [];
+
+  for (const spec of specs) {
+    if (spec.children === 'cascade') {
+      for (const descendant of hierarchy.descendants(spec.agentId)) {
+        if (listed.has(descendant.agentId)) continue;
+        listed.add(descendant.agentId);
+        expanded.push({ ...spec, agentId: descendant.agentId });
+      }
+    }
+    expanded.push(spec);
+  }
+
+  return expanded;
+}
+
+/**
+ * Take every lock, journal the batch and its items, and start applying it.
+ * Returns { batch, run }; run settles once the batch is applied or rolled back.
+ */
+function startBatch(creates, deletes) {
+  checkBatchLimit(creates, deletes);
+  checkResourceBudget(creates.map(params => params.resources), deletes.map(spec => spec.agentId));
+
+  const locks = acquireAgentLocks([
+    ...creates.map(params => ({ agentId: params.agentId, action: 'batch create' })),
+    ...deletes.map(spec => ({ agentId: spec.agentId, action: 'batch delete' }))
+  ]);
+  let batch;
+  let items;
+  try {
+    batch = journal.start('batch', null, {
+      create: creates.map(params => params.agentId),
+      delete: deletes.map(spec => spec.agentId)
+    });
+    items = [
+      ...creates.map(params => ({
+        action: 'create',
+        params,
+        op: journal.start('create', params.agentId, params, batch.id)
+      })),
+      ...deletes.map(spec => {
+        const fractal = registry.get(spec.agentId);
+        return {
+          action: 'delete',
+          fractal,
+          roomOptions: roomDeletionOptions(spec),
+          op: journal.start('delete', spec.agentId, {
+            roomId: fractal.roomId,
+            parentId: fractal.parentId || null,
+            createdAt: fractal.createdAt,
+            deleteRoom: spec.deleteRoom === true,
+            deleteWorkspace: spec.deleteWorkspace === true,
+            network: Boolean(fractal.network)
+          }, batch.id)
+        };
+      })
+    ];
+  } catch (err) {
+    locks.forEach(lock => lock.release());
+    throw err;
+  }
+
+  return { batch, run: runWithLocks(locks, () => applyBatch(batch, items)) };
+}
+
+/**
+ * Take the per-agent lock for every { agentId, action }, or none of them
+ */
+function acquireAgentLocks(requests) {
+  const locks = [];
+
+  try {
+    requests.forEach(({ agentId, action }) => locks.push(acquireAgentLock(agentId, action)));
+  } catch (err) {
+    locks.forEach(lock => lock.release());
+    throw err;
+  }
+
+  return locks;
+}
+
+/**
+ * Run fn, releasing already acquired locks when it settles
+ */
+async function runWithLocks(locks, fn) {
+  try {
+    return await fn();
+  } finally {
+    locks.forEach(lock => lock.release());
+  }
+}
+
+/**
+ * Refuse a batch that would leave more active fractals than the limit
+ */
+function checkBatchLimit(creates, deletes) {
+  if (creates.length === 0) return;
+
+  const active = registry.list().filter(f => f.status === 'active').length;
+  const pending = pendingCreates().length;
+  const freed = deletes.filter(spec => registry.get(spec.agentId).status === 'active').length;
+  const total = active + pending - freed + creates.length;
+
+  if (total > MAX_FRACTALS) {
+    throw new HttpError(429, `Maximum fractals limit reached (${MAX_FRACTALS})`,
+      `batch would leave ${total} active fractals (${active} active, ${pending} being created, +${creates.length}, -${freed})`
+    );
+  }
+}
+
+/**
+ * Apply a batch: prepare every create, then one config transaction and one restart.
+ * Any failure before the registry is updated rolls back every item.
+ */
+async function applyBatch(batch, items) {
+  const creates = items.filter(item => item.action === 'create');
+  const deletes = items.filter(item => item.action === 'delete');
+
+  logger.info(`Applying batch ${batch.id}: ${creates.length} create(s), ${deletes.length} delete(s)`);
+
+  try {
+    await preflightCheck();
+
+    // Step 1: Rooms, members and workspaces for every create; archives of workspaces to be deleted
+    logger.info('Batch step 1/5: Preparing rooms and workspaces');
+    await journalStep(batch, 'prepare', async () => {
+      for (const item of creates) {
+        item.prepared = await prepareFractal(item.params, item.op);
+      }
+      for (const item of deletes.filter(item => item.op.params.deleteWorkspace && snapshots.archiveOnDelete)) {
+        item.archive = await archiveWorkspace(item.fractal.agentId, item.op);
+      }
+    });
+
+    // Step 2: Every agent, binding and group change in one transaction
+    logger.info('Batch step 2/5: Applying config transaction');
+    await journalStep(batch, 'config', () => openclaw.transaction(tx => {
+      for (const item of creates) {
+        addFractalConfig(tx, item.params, item.prepared.roomId, item.prepared.workspacePath);
+        CONFIG_STEPS.forEach(name => journal.beginStep(item.op, name));
+      }
+      for (const item of deletes) {
+        removeFractalConfig(tx, item.fractal, item.op);
+      }
+    }, `batch ${batch.id}`));
+    items.forEach(item => completeConfigSteps(item.op));
+
+    // Step 3: One gateway restart for the whole batch
+    logger.info('Batch step 3/5: Restarting gateway');
+    items.forEach(item => journal.beginStep(item.op, 'restart'));
+    await journalStep(batch, 'restart', () => openclaw.restart());
+    items.forEach(item => journal.completeStep(item.op, 'restart'));
+
+    // Step 4: Registry
+    logger.info('Batch step 4/5: Updating registry');
+    await journalStep(batch, 'registry', async () => {
+      for (const item of creates) {
+        await journalStep(item.op, 'registry', async () => {
+          item.fractal = await registerFractal(item.params, item.prepared.roomId, item.prepared.workspacePath);
+        });
+      }
+      for (const item of deletes) {
+        // Children are recorded before they move, so a rollback can move them back
+        const reparented = hierarchy.children(item.fractal.agentId).map(child => child.agentId);
+        journal.beginStep(item.op, 'registry', { fractal: item.fractal, reparented });
+        await hierarchy.reparentChildren(item.fractal.agentId);
+        await registry.remove(item.fractal.agentId);
+        journal.completeStep(item.op, 'registry');
+      }
+    });
+
+  } catch (err) {
+    logger.error(`Batch ${batch.id} failed at step '${batch.steps[batch.steps.length - 1]?.name || 'pre-flight'}', rolling back every item`);
+    await rollbackBatch(batch, err);
+    throw err;
+  }
+
+  // Step 5: Workspace and room deletion can't be undone, so it runs last
+  // Failures are reported per item
+  logger.info('Batch step 5/5: Deleting workspaces and rooms');
+  journal.beginStep(batch, 'cleanup');
+  const deleted = [];
+  for (const item of deletes) {
+    deleted.push(await cleanupDeletedFractal(item.fractal, item.op, item.roomOptions, item.archive));
+  }
+  journal.completeStep(batch, 'cleanup');
+
+  const created = creates.map(item => item.fractal);
+  creates.forEach(item => {
+    journal.finish(item.op, 'completed', { result: { fractal: item.fractal } });
+    emitOperationEvent('fractal.created', item.op, { fractal: item.fractal });
+  });
+  journal.finish(batch, 'completed', { result: { created, deleted } });
+
+  logger.info(`✅ Batch ${batch.id} applied: ${created.length} created, ${deleted.length} deleted`);
+  return { created, deleted };
+}
+
+/**
+ * Optional workspace and room deletion, and network removal, for a fractal removed by a batch
+ */
+async function cleanupDeletedFractal(fractal, op, roomOptions, archive = null) {
+  const { agentId } = fractal;
+  const { deleteRoom, deleteWorkspace } = op.params;
+  const result = { agentId, workspaceDeleted: false, archive, roomDeletion: null };
+
+  if (deleteWorkspace) {
+    journal.beginStep(op, 'workspace');
+    try {
+      await workspace.deleteWorkspace(agentId);
+      journal.completeStep(op, 'workspace');
+      result.workspaceDeleted = true;
+    } catch (err) {
+      logger.error(`Workspace deletion failed for ${agentId}:`, err.message);
+      result.workspaceError = err.message;
+    }
+  }
+
+  if (deleteRoom) {
+    result.roomDeletion = await deleteFractalRoom(fractal, op, roomOptions);
+  }
+
+  if (fractal.network) {
+    result.networkRemoval = await removeFractalNetwork(agentId, op);
+  }
+  result.portsReleased = await releaseFractalPorts(agentId);
+  result.tokensRevoked = tokens.revokeForFractal(agentId);
+  workspace.unwatchWorkspace(agentId);
+
+  journal.finish(op, 'completed', { result });
+  emitOperationEvent('fractal.deleted', op, {
+    roomId: fractal.roomId,
+    workspaceDeleted: result.workspaceDeleted,
+    roomDeletion: result.roomDeletion,
+    archive
+  });
+  return result;
+}
+
+/**
+ * Undo every item of a batch: config in one transaction and one restart,
+ * then registry entries, workspaces and rooms.
+ * Works from the journal and live state, so it is safe after a crash or more than once.
+ */
+async function rollbackBatch(batch, cause = null) {
+  const children = journal.children(batch.id);
+  const creates = children.filter(op => op.type === 'create');
+  const deletes = children.filter(op => op.type === 'delete');
+
+  if (!journal.stepStarted(batch, 'rollback')) {
+    journal.beginStep(batch, 'rollback');
+  }
+
+  try {
+    const configUndone = await openclaw.transaction(tx => [
+      ...creates.flatMap(op => removeCreatedConfig(tx, op)),
+      // Reverse order: each binding index was recorded after the earlier removals
+      ...[...deletes].reverse().flatMap(op => restoreFractalConfig(tx, op))
+    ], `rollback batch ${batch.id}`);
+
+    if (configUndone.length > 0 && journal.stepStarted(batch, 'restart')) {
+      await openclaw.restart();
+    }
+
+    // Reverse order: a fractal deleted later may have taken over an earlier one's children
+    for (const op of [...deletes].reverse()) {
+      const { fractal, reparented = [] } = journal.getStep(op, 'registry')?.data || {};
+      if (fractal && !registry.get(op.agentId)) {
+        await registry.add(fractal);
+        if (fractal.status !== 'active') await registry.updateStatus(op.agentId, fractal.status);
+      }
+      for (const childId of reparented.filter(childId => registry.get(childId))) {
+        await registry.update(childId, { parentId: op.agentId });
+      }
+      if (op.status === 'in_progress') {
+        journal.finish(op, 'rolled_back', { error: cause?.message || null });
+        emitOperationEvent('fractal.rolled_back', op, {
+          type: op.type,
+          failedStep: journal.failedStep(batch),
+          error: op.error
+        });
+      }
+    }
+
+    // Config is already clean, so these only remove workspaces, registry entries and rooms
+    for (const op of creates.filter(op => op.status === 'in_progress')) {
+      await rollbackCreate(op, cause);
+    }
+
+    const stuck = creates.filter(op => op.status !== 'rolled_back');
+    if (stuck.length > 0) {
+      throw new Error(`Could not roll back ${stuck.map(op => op.agentId).join(', ')}`);
+    }
+
+    journal.finish(batch, 'rolled_back', {
+      error: cause?.message || null,
+      orphanedRooms: creates.map(op => op.orphanedRoom).filter(Boolean)
+    });
+    logger.info(`Rolled back batch ${batch.id}`);
+
+  } catch (err) {
+    // Leave the batch in_progress so startup recovery retries it
+    logger.error(`Rollback of batch ${batch.id} failed, will retry on next startup:`, err.message);
+    batch.rollbackError = err.message;
+    journal.save();
+  }
+}
+
+/**
+ * Startup recovery for a batch: roll forward once its config transaction landed,
+ * otherwise roll every item back
+ */
+async function recoverBatch(batch) {
+  if (journal.stepDone(batch, 'config') && !journal.stepStarted(batch, 'rollback')) {
+    for (const op of journal.children(batch.id).filter(op => op.status === 'in_progress')) {
+      if (op.type === 'create') {
+        await completeCreate(op);
+      } else {
+        await completeDelete(op);
+      }
+    }
+    journal.finish(batch, 'completed', { recovered: true });
+    return 'completed';
+  }
+
+  await rollbackBatch(batch, new Error('Interrupted, rolled back on startup'));
+  return batch.status === 'rolled_back' ? 'rolled_back' : 'rollback_failed';
+}
+
+/**
+ * GET /proposals - List proposals (optional ?status= filter)
+ */
+function listProposals(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const list = proposals.list(url.searchParams.get('status'));
+
+  respondJSON(res, 200, {
+    success: true,
+    count: list.length,
+    proposals: list
+  });
+}
+
+/**
+ * GET /proposals/:id - Get proposal details
+ */
+function getProposal(req, res, proposalId) {
+  const proposal = proposals.get(proposalId);
+
+  if (!proposal) {
+    return respondError(res, 404, 'Proposal not found');
+  }
+
+  respondJSON(res, 200, {
+    success: true,
+    proposal
+  });
+}
+
+/**
+ * POST /proposals/:id/expire - Withdraw a pending proposal
+ */
+async function expireProposal(req, res, proposalId) {
+  try {
+    const proposal = proposals.get(proposalId);
+
+    if (!proposal) {
+      return respondError(res, 404, 'Proposal not found');
+    }
+    if (proposal.status !== 'pending') {
+      return respondError(res, 409, `Proposal is ${proposal.status}, only pending proposals can be expired`);
+    }
+
+    respondJSON(res, 200, {
+      success: true,
+      proposal: await proposals.expire(proposalId)
+    });
+  } catch (err) {
+    logger.error('Proposal expiry failed:', err);
+    respondError(res, 500, 'Proposal expiry failed', err.message);
+  }
+}
+
+/**
+ * Poll the admin room and provision approved proposals.
+ * Approved proposals survive a crash: those without an operation run (again),
+ * provisioning ones are settled once recovery has finished their operation.
+ */
+let proposalPollRunning = false;
+
+async function processProposals() {
+  if (proposalPollRunning) return;
+  proposalPollRunning = true;
+
+  try {
+    await proposals.poll().catch(err => logger.error('Proposal poll failed:', err.message));
+
+    for (const proposal of proposals.list().filter(p => p.status === 'approved' || p.status === 'provisioning')) {
+      const op = proposalOperation(proposal);
+      if (op || proposal.status === 'provisioning') {
+        await settleProposal(proposal, op);
+      } else {
+        await executeProposal(proposal);
+      }
+    }
+  } catch (err) {
+    logger.error('Processing proposals failed:', err.message);
+  } finally {
+    proposalPollRunning = false;
+  }
+}
+
+/**
+ * The create operation started for a proposal, if any
+ */
+function proposalOperation(proposal) {
+  return journal.get(proposal.operationId)
+    || journal.list().find(op => op.type === 'create' && op.params.proposalId === proposal.id)
+    || null;
+}
+
+async function executeProposal(proposal) {
+  logger.info(`Executing approved proposal ${proposal.id}`);
+  try {
+    // State may have changed while the proposal was pending
+    const errors = validateCreateRequest(proposal.params, { allowSource: true });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    checkFractalLimit();
+    checkChildQuota([proposal.params.parentId]);
+    checkResourceBudget([proposal.params.resources || {}]);
+
+    const fractal = await audit.run(
+      { actor: { id: null, name: 'proposals', proposalId: proposal.id }, action: 'proposal.execute', recorded: true },
+      () => withAgentLock(proposal.params.agentId, `proposal ${proposal.id}`, () => {
+        const op = journal.start('create', proposal.params.agentId, { ...proposal.params, proposalId: proposal.id });
+        proposals.startProvisioning(proposal.id, op.id);
+        return provisionFractal(proposal.params, op);
+      })
+    );
+    await proposals.complete(proposal.id, fractal);
+  } catch (err) {
+    logger.error(`Approved proposal ${proposal.id} failed:`, err.message);
+    if (proposalOperation(proposal)?.status === 'in_progress') {
+      // Left for startup recovery; settled from its outcome afterwards
+      return;
+    }
+    await proposals.fail(proposal.id, err);
+  }
+}
+
+/**
+ * Record the outcome of a proposal whose operation a crash interrupted
+ * (nothing while startup recovery has left it in progress)
+ */
+async function settleProposal(proposal, op) {
+  if (op?.status === 'in_progress') return;
+
+  const fractal = registry.get(proposal.params.agentId);
+  if (op ? op.status === 'completed' : fractal) {
+    await proposals.complete(proposal.id, fractal || { agentId: op.agentId, roomId: journal.getStep(op, 'room')?.data?.roomId });
+  } else {
+    await proposals.fail(proposal.id, new Error(op ? op.error || `Creation ${op.status}` : 'Creation was interrupted and its operation is gone'));
+  }
+  logger.info(`Proposal ${proposal.id} settled from its interrupted operation: ${proposal.status}`);
+}
+
+/**
+ * Numbered stages per operation type, matching the "Step N/M" log lines
+ */
+const OPERATION_STAGES = {
+  create: [
+    ['room', 'Creating Matrix room'],
+    ['members', 'Ensuring 3+ members'],
+    ['workspace', 'Creating workspace'],
+    ['network', 'Creating network'],
+    ['agent', 'Adding agent to config'],
+    ['binding', 'Adding binding'],
+    ['group', 'Configuring group settings'],
+    ['restart', 'Restarting gateway']
+  ],
+  delete: [
+    ['archive', 'Archiving workspace'],
+    ['group', 'Removing group config'],
+    ['binding', 'Removing binding'],
+    ['agent', 'Removing agent'],
+    ['workspace', 'Deleting workspace'],
+    ['room', 'Deleting Matrix room'],
+    ['network', 'Removing network']
+  ],
+  batch: [
+    ['prepare', 'Preparing rooms and workspaces'],
+    ['config', 'Applying config transaction'],
+    ['restart', 'Restarting gateway'],
+    ['registry', 'Updating registry'],
+    ['cleanup', 'Deleting workspaces and rooms']
+  ]
+};
+
+/**
+ * Shape a journal entry for the /operations API
+ */
+function formatOperation(op) {
+  const stages = OPERATION_STAGES[op.type] || [];
+  const steps = op.steps.map(step => {
+    const index = stages.findIndex(([name]) => name === step.name);
+    return {
+      ...step,
+      stage: index === -1 ? null : `Step ${index + 1}/${stages.length}: ${stages[index][1]}`
+    };
+  });
+  const current = steps[steps.length - 1] || null;
+
+  return {
+    id: op.id,
+    type: op.type,
+    agentId: op.agentId,
+    status: op.status,
+    progress: {
+      completedSteps: steps.filter(step => step.stage && step.status === 'done').length,
+      totalSteps: stages.length,
+      current: current && (current.stage || current.name)
+    },
+    steps,
+    result: op.result || null,
+    error: op.error || null,
+    rollback: op.status === 'rolled_back' || op.rollbackError
+      ? { undone: op.undone || [], orphanedRoom: op.orphanedRoom || null, error: op.rollbackError || null }
+      : null,
+    recovered: op.recovered || false,
+    ...(op.type === 'batch' && { items: journal.children(op.id).map(formatOperation) }),
+    ...(op.parentId && { batchId: op.parentId }),
+    startedAt: op.startedAt,
+    finishedAt: op.finishedAt || null,
+    statusUrl: `/operations/${op.id}`
+  };
+}
+
+/**
+ * GET /operations - List journaled operations (?status=, ?agentId=)
+ */
+function listOperations(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const agentId = url.searchParams.get('agentId');
+  const operations = journal.list(url.searchParams.get('status'))
+    .filter(op => !agentId || op.agentId === agentId)
+    .filter(op => operationVisibleTo(req, op))
+    .map(formatOperation);
+
+  respondJSON(res, 200, {
+    success: true,
+    count: operations.length,
+    operations
+  });
+}
+
+/**
+ * GET /operations/:id - Operation progress and outcome
+ */
+function getOperation(req, res, operationId) {
+  const op = journal.get(operationId);
+
+  if (!op || !operationVisibleTo(req, op)) {
+    return respondError(res, 404, 'Operation not found');
+  }
+
+  respondJSON(res, 200, {
+    success: true,
+    operation: formatOperation(op)
+  });
+}
+
+/**
+ * Whether the caller may see an operation. Creates aren't registered yet and deletes
+ * no longer are, so they are judged by the parent they were created under or removed from;
+ * a batch by its items.
+ */
+function operationVisibleTo(req, op) {
+  if (!req.auth.fractalId || visibleTo(req, op.agentId)) {
+    return true;
+  }
+  if (op.type === 'batch') {
+    const items = journal.children(op.id);
+    return items.length > 0 && items.every(item => operationVisibleTo(req, item));
+  }
+  return Boolean(op.params?.parentId) && visibleTo(req, op.params.parentId);
+}
+
+/**
+ * GET /recovery - Startup recovery report and incomplete operations
+ */
+function getRecovery(req, res) {
+  respondJSON(res, 200, {
+    success: true,
+    recovery: recoveryReport,
+    incomplete: journal.incomplete().map(formatOperation)
+  });
+}
+
+/**
+ * GET /reconcile - Drift report: registry vs. config, workspaces and rooms, plus orphans
+ * ?rooms=false skips the Matrix membership checks
+ */
+async function getReconcile(req, res) {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const report = await reconciler.check({
+      checkRooms: url.searchParams.get('rooms') !== 'false',
+      busy: journal.incomplete().map(op => op.agentId).filter(Boolean)
+    });
+
+    respondJSON(res, 200, {
+      success: true,
+      report
+    });
+
+  } catch (err) {
+    logger.error('Reconcile check failed:', err);
+    respondError(res, 500, 'Reconcile check failed', err.message);
+  }
+}
+
+/**
+ * POST /reconcile - Apply repairs chosen from the GET /reconcile report
+ */
+async function postReconcile(req, res) {
+  try {
+    const body = await readJSONBody(req);
+
+    const errors = validateReconcileRequest(body);
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
+    }
+
+    const running = journal.incomplete();
+    if (running.length > 0) {
+      return respondError(res, 409, 'Operations in progress, retry when they finish',
+        running.map(op => op.id)
+      );
+    }
+
+    const agentIds = [...new Set(body.repairs.map(repair => repair.agentId).filter(Boolean))];
+    const locks = acquireAgentLocks(agentIds.map(agentId => ({ agentId, action: 'reconcile' })));
+
+    logger.info(`Reconcile: applying ${body.repairs.length} repair(s)`);
+    const { results, restarted } = await runWithLocks(locks, () =>
+      reconciler.repair(body.repairs, { restart: body.restart !== false })
+    );
+    const { summary } = await reconciler.check({ checkRooms: false });
+
+    respondJSON(res, 200, {
+      success: results.every(result => result.status !== 'failed'),
+      results,
+      restarted,
+      summary
+    });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Reconcile failed:', err);
+    respondError(res, 500, 'Reconcile failed', err.message);
+  }
+}
+
+/**
+ * GET /webhooks - List webhook subscriptions (secrets omitted)
+ */
+function listWebhooks(req, res) {
+  const list = webhooks.list().map(subscription => webhooks.format(subscription));
+
+  respondJSON(res, 200, {
+    success: true,
+    count: list.length,
+    events: WebhookDispatcher.EVENTS,
+    webhooks: list
+  });
+}
+
+/**
+ * POST /webhooks - Subscribe a URL to lifecycle events
+ * The secret is only returned here and when rotated
+ */
+async function createWebhook(req, res) {
+  try {
+    const body = await readJSONBody(req);
+
+    const errors = validateWebhookRequest(body, true);
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
+    }
+
+    const subscription = webhooks.subscribe(body);
+
+    respondJSON(res, 201, {
+      success: true,
+      webhook: subscription
+    });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Webhook creation failed:', err);
+    respondError(res, 500, 'Webhook creation failed', err.message);
+  }
+}
+
+/**
+ * GET /webhooks/:id - Subscription details with its recent deliveries
+ */
+function getWebhook(req, res, webhookId) {
+  const subscription = webhooks.get(webhookId);
+
+  if (!subscription) {
+    return respondError(res, 404, 'Webhook not found');
+  }
+
+  respondJSON(res, 200, {
+    success: true,
+    webhook: webhooks.format(subscription),
+    deliveries: webhooks.listDeliveries({ subscriptionId: webhookId, limit: 20 })
+  });
+}
+
+/**
+ * PATCH /webhooks/:id - Update url, events, description, enabled, or rotate the secret
+ */
+async function updateWebhook(req, res, webhookId) {
+  try {
+    if (!webhooks.get(webhookId)) {
+      return respondError(res, 404, 'Webhook not found');
+    }
+
+    const body = await readJSONBody(req);
+
+    const errors = validateWebhookRequest(body, false);
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
+    }
+
+    const subscription = webhooks.update(webhookId, body);
+
+    respondJSON(res, 200, {
+      success: true,
+      webhook: body.rotateSecret || body.secret ? subscription : webhooks.format(subscription)
+    });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Webhook update failed:', err);
+    respondError(res, 500, 'Webhook update failed', err.message);
+  }
+}
+
+/**
+ * DELETE /webhooks/:id - Remove a subscription (pending deliveries are abandoned)
+ */
+function deleteWebhook(req, res, webhookId) {
+  const subscription = webhooks.unsubscribe(webhookId);
+
+  if (!subscription) {
+    return respondError(res, 404, 'Webhook not found');
+  }
+
+  respondJSON(res, 200, {
+    success: true,
+    message: 'Webhook removed',
+    webhookId
+  });
+}
+
+/**
+ * GET /webhooks/:id/deliveries - Delivery log (?status=, ?limit=)
+ */
+function listWebhookDeliveries(req, res, webhookId) {
+  if (!webhooks.get(webhookId)) {
+    return respondError(res, 404, 'Webhook not found');
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const deliveries = webhooks.listDeliveries({
+    subscriptionId: webhookId,
+    status: url.searchParams.get('status'),
+    limit: Math.min(parseInt(url.searchParams.get('limit'), 10) || 50, 500)
+  });
+
+  respondJSON(res, 200, {
+    success: true,
+    count: deliveries.length,
+    deliveries
+  });
+}
+
+/**
+ * POST /webhooks/:id/test - Send a webhook.test event
+ */
+function testWebhook(req, res, webhookId) {
+  const delivery = webhooks.test(webhookId);
+
+  if (!delivery) {
+    return respondError(res, 404, 'Webhook not found');
+  }
+
+  respondJSON(res, 202, {
+    success: true,
+    message: 'Test event queued',
+    delivery
+  });
+}
+
+/**
+ * POST /webhooks/:id/deliveries/:deliveryId/redeliver - Retry a failed or past delivery
+ */
+function redeliverWebhook(req, res, webhookId, deliveryId) {
+  const existing = webhooks.getDelivery(deliveryId);
+
+  if (!existing || existing.subscriptionId !== webhookId || !webhooks.get(webhookId)) {
+    return respondError(res, 404, 'Delivery not found');
+  }
+
+  const delivery = webhooks.redeliver(deliveryId);
+
+  respondJSON(res, 202, {
+    success: true,
+    message: 'Delivery queued',
+    delivery
+  });
+}
+
+/**
+ * GET /templates - List the template library
+ */
+function listTemplates(req, res) {
+  const list = templates.list();
+
+  respondJSON(res, 200, {
+    success: true,
+    count: list.length,
+    default: templates.defaultTemplate,
+    templates: list
+  });
+}
+
+/**
+ * GET /templates/:name - Template details with its rendered files
+ */
+function getTemplate(req, res, name) {
+  try {
+    const template = templates.get(name);
+
+    if (!template) {
+      return respondError(res, 404, 'Template not found');
+    }
+
+    // Preview with placeholder name and agentId
+    const preview = templates.apply({ name: '<name>', agentId: '<agentId>', template: name });
+
+    respondJSON(res, 200, {
+      success: true,
+      template: {
+        ...template,
+        rendered: templates.render(name, preview)
+      }
+    });
+  } catch (err) {
+    respondError(res, err.status || 500, err.message);
+  }
+}
+
+/**
+ * GET /health - Health check
+ */
+function healthCheck(req, res) {
+  respondJSON(res, 200, {
+    status: 'ok',
+    version: '1.0.0',
+    fractals: {
+      active: registry.list().filter(f => f.status === 'active').length,
+      paused: registry.list().filter(f => f.status === 'paused').length,
+      total: registry.list().length,
+      max: MAX_FRACTALS
+    }
+  });
+}
+
+const FRACTAL_STATUSES = ['active', 'paused'];
+
+const fractalsGauge = metrics.gauge('fractal_fractals', 'Registered fractals by status', ['status']);
+const maxFractalsGauge = metrics.gauge('fractal_fractals_max', 'Configured maximum number of fractals');
+const inProgressGauge = metrics.gauge('fractal_operations_in_progress', 'Journaled operations not yet finished', ['type']);
+
+metrics.collect(() => {
+  const fractals = registry.list();
+  fractalsGauge.reset();
+  for (const status of new Set([...FRACTAL_STATUSES, ...fractals.map(f => f.status)])) {
+    fractalsGauge.set({ status }, fractals.filter(f => f.status === status).length);
+  }
+  maxFractalsGauge.set({}, MAX_FRACTALS);
+
+  for (const type of Object.keys(OPERATION_STAGES)) {
+    inProgressGauge.set({ type }, journal.incomplete().filter(op => op.type === type).length);
+  }
+});
+
+/**
+ * GET /metrics - Prometheus text exposition format
+ */
+function getMetrics(req, res) {
+  res.writeHead(200, { 'Content-Type': Metrics.CONTENT_TYPE });
+  res.end(metrics.render());
+}
+
+/**
+ * GET /resources - Host budget, allocated and available limits, and each fractal's limits
+ */
+function getResources(req, res) {
+  respondJSON(res, 200, {
+    success: true,
+    ...quotas.report()
+  });
+}
+
+const AUDIT_OUTCOMES = ['success', 'accepted', 'failure'];
+
+/**
+ * GET /audit - Audit entries, newest first
+ * ?since=&until= (ISO time), ?actor= (token name or ID), ?agentId=, ?action= (e.g. fractal or fractal.create),
+ * ?outcome=, ?limit= (default 100, max 1000)
+ */
+function getAudit(req, res) {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const filters = Object.fromEntries(
+      ['since', 'until', 'actor', 'agentId', 'action', 'outcome', 'limit']
+        .map(key => [key, url.searchParams.get(key)])
+        .filter(([, value]) => value !== null)
+    );
+
+    const errors = [];
+    for (const key of ['since', 'until']) {
+      if (filters[key] !== undefined && Number.isNaN(Date.parse(filters[key]))) {
+        errors.push(`${key} must be an ISO date/time`);
+      }
+    }
+    if (filters.outcome !== undefined && !AUDIT_OUTCOMES.includes(filters.outcome)) {
+      errors.push(`outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}`);
+    }
+    if (filters.limit !== undefined) {
+      filters.limit = Number(filters.limit);
+      if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > 1000) {
+        errors.push('limit must be an integer from 1 to 1000');
+      }
+    }
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
+    }
+
+    const entries = audit.query(filters);
+
+    respondJSON(res, 200, {
+      success: true,
+      count: entries.length,
+      entries
+    });
+
+  } catch (err) {
+    logger.error('Audit query failed:', err);
+    respondError(res, 500, 'Audit query failed', err.message);
+  }
+}
+
+/**
+ * GET /audit/verify - Check the hash chain (same check as audit-verify.js)
+ */
+function verifyAudit(req, res) {
+  try {
+    const result = audit.verify();
+
+    if (!result.ok) {
+      logger.error(`Audit log verification failed: ${result.problems.length} problem(s)`);
+    }
+
+    respondJSON(res, 200, {
+      success: true,
+      verification: result
+    });
+
+  } catch (err) {
+    logger.error('Audit verification failed:', err);
+    respondError(res, 500, 'Audit verification failed', err.message);
+  }
+}
+
+/**
+ * Validate create request parameters
+ */
+function validateCreateRequest(params, { allowSource = false } = {}) {
+  const errors = [];
+
+  if (!params.name || typeof params.name !== 'string') {
+    errors.push('name is required (string)');
+  }
+
+  if (!params.agentId || typeof params.agentId !== 'string') {
+    errors.push('agentId is required (string)');
+  } else if (!/^[a-z0-9-]+$/.test(params.agentId)) {
+    errors.push('agentId must be kebab-case (lowercase, numbers, hyphens only)');
+  }
+
+  if (registry.get(params.agentId)) {
+    errors.push(`agentId '${params.agentId}' already exists`);
+  }
+
+  if (params.model && typeof params.model !== 'string') {
+    errors.push('model must be a string');
+  }
+
+  if (params.inviteUsers && !Array.isArray(params.inviteUsers)) {
+    errors.push('inviteUsers must be an array');
+  }
+
+  if (params.template !== undefined && (typeof params.template !== 'string' || !templates.get(params.template))) {
+    errors.push(`template '${params.template}' not found (see GET /templates)`);
+  }
+
+  if (params.variables !== undefined && (
+    !params.variables || typeof params.variables !== 'object' || Array.isArray(params.variables) ||
+    Object.values(params.variables).some(value => typeof value !== 'string')
+  )) {
+    errors.push('variables must be an object of strings');
+  }
+
+  if (params.parentId !== undefined && params.parentId !== null) {
+    if (typeof params.parentId !== 'string') {
+      errors.push('parentId must be a string');
+    } else {
+      const problem = hierarchy.depthProblem(params.parentId);
+      if (problem) errors.push(problem);
+    }
+  }
+
+  if (params.maxChildren !== undefined && !isCount(params.maxChildren)) {
+    errors.push('maxChildren must be a non-negative integer');
+  }
+
+  if (params.resources !== undefined) {
+    errors.push(...quotas.validate(params.resources));
+  }
+
+  errors.push(...networks.validate(params.network));
+
+  // Set by import and clone from their own requests (and kept in proposals), never by callers
+  if (params.source !== undefined && !allowSource) {
+    errors.push('source is not a create field (see POST /fractal/import and /fractal/:id/clone)');
+  }
+
+  return errors;
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validate batch request: every create and delete spec, and no agentId twice
+ */
+function validateBatchRequest(body) {
+  const errors = [];
+  const creates = body?.create || [];
+  const deletes = body?.delete || [];
+
+  if (!Array.isArray(creates) || !Array.isArray(deletes)) {
+    errors.push('create and delete must be arrays');
+    return errors;
+  }
+
+  if (creates.length + deletes.length === 0) {
+    errors.push('at least one create or delete spec is required');
+  }
+
+  const seen = new Set();
+  const claim = (agentId, label) => {
+    if (typeof agentId !== 'string') return;
+    if (seen.has(agentId)) {
+      errors.push(`${label}: agentId '${agentId}' appears more than once in the batch`);
+    }
+    seen.add(agentId);
+  };
+
+  creates.forEach((params, i) => {
+    const label = `create[${i}]`;
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    validateCreateRequest(params).forEach(error => errors.push(`${label}: ${error}`));
+    claim(params.agentId, label);
+  });
+
+  deletes.forEach((spec, i) => {
+    const label = `delete[${i}]`;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (!spec.agentId || typeof spec.agentId !== 'string') {
+      errors.push(`${label}: agentId is required (string)`);
+    } else if (!registry.get(spec.agentId)) {
+      errors.push(`${label}: fractal '${spec.agentId}' not found`);
+    }
+    for (const field of ['deleteRoom', 'deleteWorkspace', 'kickMembers', 'purgeRoom', 'blockRoom']) {
+      if (spec[field] !== undefined && typeof spec[field] !== 'boolean') {
+        errors.push(`${label}: ${field} must be a boolean`);
+      }
+    }
+    if (spec.farewell !== undefined && typeof spec.farewell !== 'string') {
+      errors.push(`${label}: farewell must be a string`);
+    }
+    if (spec.children !== undefined && !CHILD_MODES.includes(spec.children)) {
+      errors.push(`${label}: children must be one of ${CHILD_MODES.join(', ')}`);
+    }
+    if (spec.children === undefined && registry.get(spec.agentId)) {
+      const deleted = new Set(deletes.map(d => d?.agentId));
+      const kept = hierarchy.children(spec.agentId).filter(child => !deleted.has(child.agentId));
+      if (kept.length > 0) {
+        errors.push(`${label}: '${spec.agentId}' has children (${kept.map(c => c.agentId).join(', ')}), set children to cascade or reparent`);
+      }
+    }
+    claim(spec.agentId, label);
+  });
+
+  return errors;
+}
+
+/**
+ * Validate reconcile request: a list of { action, agentId | roomId }
+ */
+function validateReconcileRequest(body) {
+  const errors = [];
+
+  if (!Array.isArray(body?.repairs) || body.repairs.length === 0) {
+    errors.push('repairs must be a non-empty array');
+    return errors;
+  }
+
+  body.repairs.forEach((repair, i) => {
+    if (!repair || typeof repair.action !== 'string') {
+      errors.push(`repairs[${i}]: action is required (string)`);
+      return;
+    }
+    if (repair.action === 'remove-group') {
+      if (typeof repair.roomId !== 'string') errors.push(`repairs[${i}]: roomId is required (string)`);
+    } else if (repair.action !== 'rebuild-registry' || repair.agentId !== undefined) {
+      // Repairs such as delete-workspace build paths from it
+      if (typeof repair.agentId !== 'string' || !/^[a-z0-9-]+$/.test(repair.agentId)) {
+        errors.push(`repairs[${i}]: agentId is required (lowercase alphanumeric + hyphens)`);
+      }
+    }
+  });
+
+  if (body.restart !== undefined && typeof body.restart !== 'boolean') {
+    errors.push('restart must be a boolean');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a token issue (name and scopes required) or rotation request
+ */
+function validateTokenRequest(body, isIssue) {
+  const errors = [];
+  const allowed = isIssue
+    ? ['name', 'scopes', 'fractalId', 'expiresAt', 'expiresInDays']
+    : ['graceSeconds', 'expiresAt', 'expiresInDays'];
+
+  for (const field of Object.keys(body)) {
+    if (!allowed.includes(field)) {
+      errors.push(`${field} cannot be set`);
+    }
+  }
+
+  if (isIssue) {
+    if (typeof body.name !== 'string' || !/^[A-Za-z0-9 ._-]{1,64}$/.test(body.name)) {
+      errors.push('name is required (1-64 letters, digits, spaces, dots, dashes or underscores)');
+    }
+
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+      errors.push('scopes must be a non-empty array');
+    } else {
+      const unknown = body.scopes.filter(scope => !TokenStore.SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        errors.push(`unknown scopes: ${unknown.join(', ')} (known: ${TokenStore.SCOPES.join(', ')})`);
+      }
+    }
+
+    if (body.fractalId !== undefined) {
+      if (typeof body.fractalId !== 'string' || !registry.get(body.fractalId)) {
+        errors.push(`fractalId '${body.fractalId}' is not a registered fractal`);
+      }
+      if (Array.isArray(body.scopes) && body.scopes.includes('admin')) {
+        errors.push('fractal-bound tokens cannot have the admin scope');
+      }
+    }
+  }
+
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    const time = new Date(body.expiresAt).getTime();
+    if (Number.isNaN(time) || time <= Date.now()) {
+      errors.push('expiresAt must be a future ISO date');
+    }
+  }
+
+  if (body.expiresAt !== undefined && body.expiresInDays !== undefined) {
+    errors.push('set expiresAt or expiresInDays, not both');
+  }
+
+  for (const field of ['expiresInDays', 'graceSeconds']) {
+    if (body[field] !== undefined && (typeof body[field] !== 'number' || body[field] <= 0)) {
+      errors.push(`${field} must be a positive number`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a webhook subscription (create requires url)
+ */
+function validateWebhookRequest(body, isCreate) {
+  const errors = [];
+  const allowed = ['url', 'events', 'secret', 'description', 'enabled', 'rotateSecret'];
+
+  for (const field of Object.keys(body)) {
+    if (!allowed.includes(field) || (isCreate && ['enabled', 'rotateSecret'].includes(field))) {
+      errors.push(`${field} cannot be set`);
+    }
+  }
+
+  if (isCreate || body.url !== undefined) {
+    let url = null;
+    try {
+      url = new URL(body.url);
+    } catch (err) {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('url is required (http or https URL)');
+    }
+  }
+
+  if (body.events !== undefined) {
+    const known = [...WebhookDispatcher.EVENTS, '*'];
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      errors.push('events must be a non-empty array');
+    } else {
+      const unknown = body.events.filter(event => !known.includes(event));
+      if (unknown.length > 0) {
+        errors.push(`unknown events: ${unknown.join(', ')} (known: ${known.join(', ')})`);
+      }
+    }
+  }
+
+  if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+    errors.push('secret must be a string of at least 16 characters');
+  }
+
+  if (body.description !== undefined && typeof body.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  for (const field of ['enabled', 'rotateSecret']) {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate update request parameters
+ */
+function validateUpdateRequest(params) {
+  const errors = [];
+  const fields = Object.keys(params);
+
+  if (fields.length === 0) {
+    errors.push(`at least one of ${UPDATABLE_FIELDS.join(', ')} is required`);
+  }
+
+  for (const field of fields) {
+    if (!UPDATABLE_FIELDS.includes(field)) {
+      errors.push(`${field} cannot be updated`);
+    }
+  }
+
+  if (params.model !== undefined && (typeof params.model !== 'string' || !params.model)) {
+    errors.push('model must be a non-empty string');
+  }
+
+  if (params.persona !== undefined && typeof params.persona !== 'string') {
+    errors.push('persona must be a string');
+  }
+
+  if (params.purpose !== undefined && typeof params.purpose !== 'string') {
+    errors.push('purpose must be a string');
+  }
+
+  if (params.autoReply !== undefined && typeof params.autoReply !== 'boolean') {
+    errors.push('autoReply must be a boolean');
+  }
+
+  if (params.maxChildren !== undefined && !isCount(params.maxChildren)) {
+    errors.push('maxChildren must be a non-negative integer');
+  }
+
+  if (params.resources !== undefined) {
+    errors.push(...quotas.validate(params.resources));
+  }
+
+  return errors;
+}
+
+/**
+ * Authentication middleware
+ * Sets req.auth to the caller's { id, name, scopes }
+ */
+function authenticate(req, res) {
+  const authHeader = req.headers['authorization'];
+  
+  if (!authHeader) {
+    respondError(res, 401, 'Missing Authorization header');
+    return false;
+  }
+
+  const [type, token] = authHeader.split(' ');
+  const auth = type === 'Bearer' ? tokens.authenticate(token) : null;
+  
+  if (!auth) {
+    respondError(res, 403, 'Invalid credentials');
+    return false;
+  }
+
+  req.auth = auth;
+  return true;
+}
+
+// Global views and administration that fractal-bound tokens can't use
+const BOUND_DENIED_PREFIXES = ['/tokens', '/webhooks', '/reconcile', '/recovery', '/proposals', '/metrics', '/audit', '/resources', '/network', '/ports'];
+
+/**
+ * Scope a route requires (null: checked by the handler)
+ */
+function requiredScope(method, path) {
+  if (path.startsWith('/tokens') || path.startsWith('/webhooks') || path.startsWith('/audit')) return 'admin';
+  if (path === '/reconcile' && method === 'POST') return 'admin';
+  if (path.startsWith('/proposals/') && method === 'POST') return 'admin';
+  if (path === '/fractals/batch') return null;
+  // Bundles carry the whole workspace (keys included) and gateway config
+  if (path === '/fractal/import' || /^\/fractal\/[a-z0-9-]+\/export$/.test(path)) return 'admin';
+  if (/^\/fractal\/[a-z0-9-]+\/ports\/\d+$/.test(path) && method === 'DELETE') return 'fractal:create';
+  // Removing a sandbox container doesn't delete anything OpenClaw can't recreate
+  if (/^\/fractal\/[a-z0-9-]+\/containers\/[a-f0-9]+$/.test(path) && method === 'DELETE') return 'fractal:create';
+  if (method === 'GET') return 'fractal:read';
+  if (method === 'DELETE') return 'fractal:delete';
+  return 'fractal:create';
+}
+
+/**
+ * GET /tokens - List API tokens (hashes omitted)
+ */
+function listTokens(req, res) {
+  const list = tokens.list().map(token => tokens.format(token));
+
+  respondJSON(res, 200, {
+    success: true,
+    count: list.length,
+    scopes: TokenStore.SCOPES,
+    tokens: list
+  });
+}
+
+/**
+ * POST /tokens - Issue a named, scoped token (plaintext returned once)
+ */
+async function issueToken(req, res) {
+  try {
+    const body = await readJSONBody(req);
+
+    const errors = validateTokenRequest(body, true);
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
+    }
+
+    let issued;
+    try {
+      issued = tokens.issue({ ...body, createdBy: req.auth.name });
+    } catch (err) {
+      return respondError(res, 409, err.message);
+    }
+
+    respondJSON(res, 201, {
+      success: true,
+      token: issued.secret,
+      details: tokens.format(issued.token)
+    });
+
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
     }
-  });
+    logger.error('Token issue failed:', err);
+    respondError(res, 500, 'Token issue failed', err.message);
+  }
 }
 
 /**
- * GET /fractal - List all fractals
+ * GET /tokens/:id - Token details
  */
-function listFractals(req, res) {
-  const fractals = registry.list();
-  respondJSON(res, 200, {
-    success: true,
-    count: fractals.length,
-    fractals
-  });
-}
+function getToken(req, res, tokenId) {
+  const token = tokens.get(tokenId);
 
-/**
- * GET /fractal/:id - Get fractal details
- */
-function getFractal(req, res, agentId) {
-  const fractal = registry.get(agentId);
-  
-  if (!fractal) {
-    return respondError(res, 404, 'Fractal not found');
+  if (!token) {
+    return respondError(res, 404, 'Token not found');
   }
 
   respondJSON(res, 200, {
     success: true,
-    fractal
+    details: tokens.format(token)
   });
 }
 
 /**
- * DELETE /fractal/:id - Delete fractal
+ * POST /tokens/:id/rotate - Replace a token's secret (optional grace period for the old one)
  */
-async function deleteFractal(req, res, agentId) {
+async function rotateToken(req, res, tokenId) {
   try {
-    const fractal = registry.get(agentId);
-    
-    if (!fractal) {
-      return respondError(res, 404, 'Fractal not found');
+    if (!tokens.get(tokenId)) {
+      return respondError(res, 404, 'Token not found');
     }
 
-    logger.info(`Deleting fractal: ${agentId}`);
-
-    // Parse query params for optional cleanup
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const deleteRoom = url.searchParams.get('deleteRoom') === 'true';
-    const deleteWorkspace = url.searchParams.get('deleteWorkspace') === 'true';
-
-    // Step 1: Remove group config
-    logger.info('Step 1/5: Removing group config');
-    await openclaw.removeGroupConfig(fractal.roomId);
-
-    // Step 2: Remove binding
-    logger.info('Step 2/5: Removing binding');
-    await openclaw.removeBinding(agentId);
+    const body = await readJSONBody(req);
 
-    // Step 3: Remove agent
-    logger.info('Step 3/5: Removing agent');
-    await openclaw.removeAgent(agentId);
-
-    // Step 4: Delete workspace (optional)
-    if (deleteWorkspace) {
-      logger.info('Step 4/5: Deleting workspace');
-      await workspace.deleteWorkspace(agentId);
-    } else {
-      logger.info('Step 4/5: Preserving workspace');
+    const errors = validateTokenRequest(body, false);
+    if (errors.length > 0) {
+      return respondError(res, 400, 'Validation failed', errors);
     }
 
-    // Step 5: Delete room (optional)
-    if (deleteRoom) {
-      logger.info('Step 5/5: Deleting Matrix room');
-      // Note: Synapse doesn't have a simple room delete API
-      // This would require kicking all users and purging history
-      logger.warn('Room deletion not implemented, room will remain');
+    let rotated;
+    try {
+      rotated = tokens.rotate(tokenId, body);
+    } catch (err) {
+      return respondError(res, 409, err.message);
     }
 
-    // Restart gateway
-    logger.info('Restarting gateway');
-    await openclaw.restart();
-
-    // Update registry
-    registry.remove(agentId);
-
-    logger.info(`✅ Fractal deleted: ${agentId}`);
-
     respondJSON(res, 200, {
       success: true,
-      message: 'Fractal deleted',
-      agentId
+      token: rotated.secret,
+      details: tokens.format(rotated.token)
     });
 
   } catch (err) {
-    logger.error('Fractal deletion failed:', err);
-    respondError(res, 500, 'Fractal deletion failed', err.message);
+    if (err instanceof HttpError) {
+      return respondError(res, err.status, err.message, err.details);
+    }
+    logger.error('Token rotation failed:', err);
+    respondError(res, 500, 'Token rotation failed', err.message);
   }
 }
 
 /**
- * GET /health - Health check
+ * DELETE /tokens/:id - Revoke a token
  */
-function healthCheck(req, res) {
+function revokeToken(req, res, tokenId) {
+  const token = tokens.revoke(tokenId);
+
+  if (!token) {
+    return respondError(res, 404, 'Token not found');
+  }
+
   respondJSON(res, 200, {
-    status: 'ok',
-    version: '1.0.0',
-    fractals: {
-      active: registry.list().filter(f => f.status === 'active').length,
-      total: registry.list().length,
-      max: MAX_FRACTALS
-    }
+    success: true,
+    message: 'Token revoked',
+    details: tokens.format(token)
   });
 }
 
 /**
- * Validate create request parameters
+ * Audited actions: [method, path pattern, action]. The captured ID is the
+ * target agentId for fractal.* actions and params.id otherwise.
  */
-function validateCreateRequest(params) {
-  const errors = [];
+const AUDIT_ACTIONS = [
+  ['POST', /^\/fractal$/, 'fractal.create'],
+  ['POST', /^\/fractal\/import$/, 'fractal.import'],
+  // The new fractal's agentId comes from the body
+  ['POST', /^\/fractal\/[a-z0-9-]+\/clone$/, 'fractal.clone'],
+  ['GET', /^\/fractal\/([a-z0-9-]+)\/export$/, 'fractal.export'],
+  ['PATCH', /^\/fractal\/([a-z0-9-]+)$/, 'fractal.update'],
+  ['DELETE', /^\/fractal\/([a-z0-9-]+)$/, 'fractal.delete'],
+  ['POST', /^\/fractal\/([a-z0-9-]+)\/pause$/, 'fractal.pause'],
+  ['POST', /^\/fractal\/([a-z0-9-]+)\/resume$/, 'fractal.resume'],
+  ['POST', /^\/fractal\/([a-z0-9-]+)\/network\/refresh$/, 'fractal.network.refresh'],
+  ['POST', /^\/fractal\/([a-z0-9-]+)\/ports$/, 'fractal.port.allocate'],
+  ['POST', /^\/fractal\/([a-z0-9-]+)\/workspace\/permissions$/, 'fractal.workspace.repair'],
+  ['POST', /^\/fractal\/([a-z0-9-]+)\/snapshots$/, 'fractal.snapshot.create'],
+  ['POST', /^\/fractal\/([a-z0-9-]+)\/snapshots\/snap-[a-f0-9]+\/restore$/, 'fractal.snapshot.restore'],
+  ['DELETE', /^\/fractal\/([a-z0-9-]+)\/snapshots\/snap-[a-f0-9]+$/, 'fractal.snapshot.delete'],
+  ['DELETE', /^\/fractal\/([a-z0-9-]+)\/ports\/\d+$/, 'fractal.port.release'],
+  ['POST', /^\/fractal\/([a-z0-9-]+)\/containers\/[a-f0-9]+\/restart$/, 'fractal.container.restart'],
+  ['POST', /^\/fractal\/([a-z0-9-]+)\/containers\/[a-f0-9]+\/stop$/, 'fractal.container.stop'],
+  ['DELETE', /^\/fractal\/([a-z0-9-]+)\/containers\/[a-f0-9]+$/, 'fractal.container.remove'],
+  ['POST', /^\/fractals\/batch$/, 'fractal.batch'],
+  ['POST', /^\/reconcile$/, 'reconcile.repair'],
+  ['POST', /^\/tokens$/, 'token.issue'],
+  ['POST', /^\/tokens\/([a-f0-9]{8})\/rotate$/, 'token.rotate'],
+  ['DELETE', /^\/tokens\/([a-f0-9]{8})$/, 'token.revoke'],
+  ['POST', /^\/webhooks$/, 'webhook.create'],
+  ['PATCH', /^\/webhooks\/(wh-[a-f0-9]+)$/, 'webhook.update'],
+  ['DELETE', /^\/webhooks\/(wh-[a-f0-9]+)$/, 'webhook.delete'],
+  ['POST', /^\/webhooks\/(wh-[a-f0-9]+)\/test$/, 'webhook.test'],
+  ['POST', /^\/webhooks\/wh-[a-f0-9]+\/deliveries\/(dlv-[a-f0-9]+)\/redeliver$/, 'webhook.redeliver'],
+  ['POST', /^\/proposals\/([a-z0-9-]+)\/expire$/, 'proposal.expire']
+];
 
-  if (!params.name || typeof params.name !== 'string') {
-    errors.push('name is required (string)');
+/**
+ * Audit context for a request: action name and target, from AUDIT_ACTIONS
+ * (reads and unknown routes are named after the method and path)
+ */
+function auditContext(method, path) {
+  for (const [actionMethod, pattern, action] of AUDIT_ACTIONS) {
+    const match = method === actionMethod && path.match(pattern);
+    if (match) {
+      return action.startsWith('fractal.')
+        ? { method, path, action, agentId: match[1] || null }
+        : { method, path, action, targetId: match[1] || null };
+    }
   }
 
-  if (!params.agentId || typeof params.agentId !== 'string') {
-    errors.push('agentId is required (string)');
-  } else if (!/^[a-z0-9-]+$/.test(params.agentId)) {
-    errors.push('agentId must be kebab-case (lowercase, numbers, hyphens only)');
-  }
+  const target = path.match(/^\/fractal\/([a-z0-9-]+)/);
+  return { method, path, action: method === 'GET' ? 'read' : 'request', agentId: target ? target[1] : null };
+}
 
-  if (registry.get(params.agentId)) {
-    errors.push(`agentId '${params.agentId}' already exists`);
+/**
+ * Write the request's audit entry once the response is sent. Plain reads are only
+ * recorded with audit.includeReads; exports, rejected credentials and scopes always.
+ */
+function finishAudit(req, res, ctx, url) {
+  const denied = res.statusCode === 401 || res.statusCode === 403;
+  if (req.method === 'GET' && ctx.action === 'read' && !audit.includeReads && !denied) {
+    ctx.recorded = true;
+    return;
   }
 
-  if (params.model && typeof params.model !== 'string') {
-    errors.push('model must be a string');
-  }
+  ctx.actor = {
+    id: req.auth?.id || null,
+    name: req.auth?.name || null,
+    fractalId: req.auth?.fractalId || null,
+    ip: req.socket.remoteAddress
+  };
+  ctx.agentId = ctx.agentId || (typeof req.body?.agentId === 'string' ? req.body.agentId : null);
 
-  if (params.inviteUsers && !Array.isArray(params.inviteUsers)) {
-    errors.push('inviteUsers must be an array');
-  }
+  const query = Object.fromEntries(url.searchParams);
+  ctx.params = {
+    ...(ctx.targetId && { id: ctx.targetId }),
+    ...(Object.keys(query).length > 0 && { query }),
+    ...(req.body && { body: req.body })
+  };
 
-  return errors;
+  audit.finishRequest(ctx, res.statusCode, res.errorMessage);
 }
 
 /**
- * Authentication middleware
+ * Request entry point: runs the router inside an audit context
  */
-function authenticate(req, res) {
-  const authHeader = req.headers['authorization'];
-  
-  if (!authHeader) {
-    respondError(res, 401, 'Missing Authorization header');
-    return false;
+function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  // Health check and unauthenticated scrapes are not audited
+  if (url.pathname === '/health' && req.method === 'GET') {
+    return healthCheck(req, res);
   }
 
-  const [type, token] = authHeader.split(' ');
-  
-  if (type !== 'Bearer' || token !== config.auth.secret) {
-    respondError(res, 403, 'Invalid credentials');
-    return false;
+  // Prometheus scrape endpoint (no auth required unless configured)
+  if (url.pathname === '/metrics' && req.method === 'GET' && !config.metrics?.requireAuth) {
+    return getMetrics(req, res);
   }
 
-  return true;
+  audit.run(auditContext(req.method, url.pathname), () => {
+    const ctx = audit.current();
+    res.on('finish', () => finishAudit(req, res, ctx, url));
+    routeRequest(req, res, url);
+  });
 }
 
 /**
  * Request router
  */
-function handleRequest(req, res) {
-  const url = new URL(req.url, `http://${req.headers.host}`);
+function routeRequest(req, res, url) {
   const path = url.pathname;
   const method = req.method;
 
-  // Health check (no auth required)
-  if (path === '/health' && method === 'GET') {
-    return healthCheck(req, res);
-  }
-
   // All other endpoints require auth
   if (!authenticate(req, res)) {
     return;
   }
 
+  const scope = requiredScope(method, path);
+  if (scope && !TokenStore.hasScope(req.auth, scope)) {
+    return respondError(res, 403, 'Insufficient scope', `requires ${scope}`);
+  }
+
+  // Fractal-bound tokens: only their own subtree, no global views
+  if (req.auth.fractalId) {
+    if (BOUND_DENIED_PREFIXES.some(prefix => path.startsWith(prefix))) {
+      return respondError(res, 403, 'Not available to fractal-bound tokens');
+    }
+
+    const target = path.match(/^\/fractal\/([a-z0-9-]+)/);
+    if (target && registry.get(target[1]) && !visibleTo(req, target[1])) {
+      return respondError(res, 403, `Token may only act on the subtree of '${req.auth.fractalId}'`);
+    }
+  }
+
   // Route to handlers
+  if (path === '/metrics' && method === 'GET') {
+    return getMetrics(req, res);
+  }
+
   if (path === '/fractal' && method === 'POST') {
     return createFractal(req, res);
   }
@@ -392,6 +3910,143 @@ function handleRequest(req, res) {
     return listFractals(req, res);
   }
 
+  if (path === '/fractal/import' && method === 'POST') {
+    return importFractal(req, res);
+  }
+
+  if (path === '/fractals/batch' && method === 'POST') {
+    return batchFractals(req, res);
+  }
+
+  if (path === '/reconcile' && method === 'GET') {
+    return getReconcile(req, res);
+  }
+
+  if (path === '/audit' && method === 'GET') {
+    return getAudit(req, res);
+  }
+
+  if (path === '/resources' && method === 'GET') {
+    return getResources(req, res);
+  }
+
+  if (path === '/audit/verify' && method === 'GET') {
+    return verifyAudit(req, res);
+  }
+
+  if (path === '/network/profiles' && method === 'GET') {
+    return listNetworkProfiles(req, res);
+  }
+
+  if (path === '/ports' && method === 'GET') {
+    return listPorts(req, res);
+  }
+
+  if (path === '/reconcile' && method === 'POST') {
+    return postReconcile(req, res);
+  }
+
+  if (path === '/tokens' && method === 'GET') {
+    return listTokens(req, res);
+  }
+
+  if (path === '/tokens' && method === 'POST') {
+    return issueToken(req, res);
+  }
+
+  const tokenMatch = path.match(/^\/tokens\/([a-f0-9]{8})(\/rotate)?$/);
+  if (tokenMatch) {
+    const [, tokenId, rotate] = tokenMatch;
+
+    if (!rotate && method === 'GET') {
+      return getToken(req, res, tokenId);
+    }
+
+    if (!rotate && method === 'DELETE') {
+      return revokeToken(req, res, tokenId);
+    }
+
+    if (rotate && method === 'POST') {
+      return rotateToken(req, res, tokenId);
+    }
+  }
+
+  if (path === '/webhooks' && method === 'GET') {
+    return listWebhooks(req, res);
+  }
+
+  if (path === '/webhooks' && method === 'POST') {
+    return createWebhook(req, res);
+  }
+
+  const webhookMatch = path.match(/^\/webhooks\/(wh-[a-f0-9]+)(?:\/(deliveries|test)(?:\/(dlv-[a-f0-9]+)\/redeliver)?)?$/);
+  if (webhookMatch) {
+    const [, webhookId, action, deliveryId] = webhookMatch;
+
+    if (!action && method === 'GET') {
+      return getWebhook(req, res, webhookId);
+    }
+
+    if (!action && method === 'PATCH') {
+      return updateWebhook(req, res, webhookId);
+    }
+
+    if (!action && method === 'DELETE') {
+      return deleteWebhook(req, res, webhookId);
+    }
+
+    if (action === 'deliveries' && !deliveryId && method === 'GET') {
+      return listWebhookDeliveries(req, res, webhookId);
+    }
+
+    if (action === 'deliveries' && deliveryId && method === 'POST') {
+      return redeliverWebhook(req, res, webhookId, deliveryId);
+    }
+
+    if (action === 'test' && !deliveryId && method === 'POST') {
+      return testWebhook(req, res, webhookId);
+    }
+  }
+
+  if (path === '/templates' && method === 'GET') {
+    return listTemplates(req, res);
+  }
+
+  const templateMatch = path.match(/^\/templates\/([a-z0-9-]+)$/);
+  if (templateMatch && method === 'GET') {
+    return getTemplate(req, res, templateMatch[1]);
+  }
+
+  if (path === '/operations' && method === 'GET') {
+    return listOperations(req, res);
+  }
+
+  const operationMatch = path.match(/^\/operations\/([a-z0-9-]+)$/);
+  if (operationMatch && method === 'GET') {
+    return getOperation(req, res, operationMatch[1]);
+  }
+
+  if (path === '/recovery' && method === 'GET') {
+    return getRecovery(req, res);
+  }
+
+  if (proposals && path === '/proposals' && method === 'GET') {
+    return listProposals(req, res);
+  }
+
+  const proposalMatch = path.match(/^\/proposals\/([a-z0-9-]+)(\/expire)?$/);
+  if (proposals && proposalMatch) {
+    const [, proposalId, expire] = proposalMatch;
+
+    if (!expire && method === 'GET') {
+      return getProposal(req, res, proposalId);
+    }
+
+    if (expire && method === 'POST') {
+      return expireProposal(req, res, proposalId);
+    }
+  }
+
   const fractalMatch = path.match(/^\/fractal\/([a-z0-9-]+)$/);
   if (fractalMatch) {
     const agentId = fractalMatch[1];
@@ -400,11 +4055,127 @@ function handleRequest(req, res) {
       return getFractal(req, res, agentId);
     }
     
+    if (method === 'PATCH') {
+      return lockedRoute(res, agentId, 'update', () => updateFractal(req, res, agentId));
+    }
+
     if (method === 'DELETE') {
       return deleteFractal(req, res, agentId);
     }
   }
 
+  const cloneMatch = path.match(/^\/fractal\/([a-z0-9-]+)\/clone$/);
+  if (cloneMatch && method === 'POST') {
+    return cloneFractal(req, res, cloneMatch[1]);
+  }
+
+  const exportMatch = path.match(/^\/fractal\/([a-z0-9-]+)\/export$/);
+  if (exportMatch && method === 'GET') {
+    return lockedRoute(res, exportMatch[1], 'export', () => exportFractal(req, res, exportMatch[1]));
+  }
+
+  const statusMatch = path.match(/^\/fractal\/([a-z0-9-]+)\/status$/);
+  if (statusMatch && method === 'GET') {
+    return getFractalStatus(req, res, statusMatch[1]);
+  }
+
+  const treeMatch = path.match(/^\/fractal\/([a-z0-9-]+)\/tree$/);
+  if (treeMatch && method === 'GET') {
+    return getFractalTree(req, res, treeMatch[1]);
+  }
+
+  const networkMatch = path.match(/^\/fractal\/([a-z0-9-]+)\/network(\/refresh)?$/);
+  if (networkMatch) {
+    const [, agentId, refresh] = networkMatch;
+
+    if (!refresh && method === 'GET') {
+      return getFractalNetwork(req, res, agentId);
+    }
+
+    if (refresh && method === 'POST') {
+      return lockedRoute(res, agentId, 'network refresh', () => refreshFractalNetwork(req, res, agentId));
+    }
+  }
+
+  const snapshotMatch = path.match(/^\/fractal\/([a-z0-9-]+)\/snapshots(?:\/(snap-[a-f0-9]+)(\/restore)?)?$/);
+  if (snapshotMatch) {
+    const [, agentId, snapshotId, restore] = snapshotMatch;
+
+    if (!snapshotId && method === 'GET') {
+      return listSnapshots(req, res, agentId);
+    }
+
+    if (!snapshotId && method === 'POST') {
+      return lockedRoute(res, agentId, 'snapshot', () => createSnapshot(req, res, agentId));
+    }
+
+    if (snapshotId && restore && method === 'POST') {
+      return lockedRoute(res, agentId, 'snapshot restore', () => restoreSnapshot(req, res, agentId, snapshotId));
+    }
+
+    if (snapshotId && !restore && method === 'DELETE') {
+      return lockedRoute(res, agentId, 'snapshot deletion', () => deleteSnapshot(req, res, agentId, snapshotId));
+    }
+  }
+
+  const containersMatch = path.match(/^\/fractal\/([a-z0-9-]+)\/containers(?:\/([a-f0-9]{12,64})(?:\/(restart|stop))?)?$/);
+  if (containersMatch) {
+    const [, agentId, containerId, action] = containersMatch;
+
+    if (!containerId && method === 'GET') {
+      return listFractalContainers(req, res, agentId);
+    }
+
+    if (containerId && !action && method === 'GET') {
+      return getFractalContainer(req, res, agentId, containerId);
+    }
+
+    if (action && method === 'POST') {
+      return lockedRoute(res, agentId, `container ${action}`, () => controlFractalContainer(req, res, agentId, containerId, action));
+    }
+
+    if (containerId && !action && method === 'DELETE') {
+      return lockedRoute(res, agentId, 'container removal', () => controlFractalContainer(req, res, agentId, containerId, 'remove'));
+    }
+  }
+
+  const permissionsMatch = path.match(/^\/fractal\/([a-z0-9-]+)\/workspace\/permissions$/);
+  if (permissionsMatch) {
+    const agentId = permissionsMatch[1];
+
+    if (method === 'GET') {
+      return getWorkspacePermissions(req, res, agentId);
+    }
+
+    if (method === 'POST') {
+      return lockedRoute(res, agentId, 'permission repair', () => repairWorkspacePermissions(req, res, agentId));
+    }
+  }
+
+  const portsMatch = path.match(/^\/fractal\/([a-z0-9-]+)\/ports(?:\/(\d+))?$/);
+  if (portsMatch) {
+    const [, agentId, port] = portsMatch;
+
+    if (!port && method === 'GET') {
+      return listFractalPorts(req, res, agentId);
+    }
+
+    if (!port && method === 'POST') {
+      return lockedRoute(res, agentId, 'port allocation', () => allocateFractalPort(req, res, agentId));
+    }
+
+    if (port && method === 'DELETE') {
+      return lockedRoute(res, agentId, 'port release', () => releaseFractalPort(req, res, agentId, Number(port)));
+    }
+  }
+
+  const lifecycleMatch = path.match(/^\/fractal\/([a-z0-9-]+)\/(pause|resume)$/);
+  if (lifecycleMatch && method === 'POST') {
+    const [, agentId, action] = lifecycleMatch;
+    const handler = action === 'pause' ? pauseFractal : resumeFractal;
+    return lockedRoute(res, agentId, action, () => handler(req, res, agentId));
+  }
+
   // 404
   respondError(res, 404, 'Not found');
 }
@@ -415,15 +4186,66 @@ const server = http.createServer(handleRequest);
 const PORT = config.server?.port || 18790;
 const HOST = config.server?.host || '127.0.0.1';
 
-server.listen(PORT, HOST, () => {
+let proposalTimer = null;
+let webhookTimer = null;
+let recoveryReport = null;
+
+function startServer() {
+  server.listen(PORT, HOST, onListening);
+}
+
+// Recover interrupted operations before accepting requests
+audit.run({ actor: { id: null, name: 'system' }, action: 'recovery', recorded: true }, recoverOperations)
+  .then(report => {
+    recoveryReport = report;
+    startServer();
+  })
+  .catch(err => {
+    logger.error('Startup recovery failed:', err.message);
+    recoveryReport = { ranAt: new Date().toISOString(), error: err.message, operations: [] };
+    startServer();
+  });
+
+function onListening() {
   logger.info(`🚀 Fractal API listening on ${HOST}:${PORT}`);
   logger.info(`   Max fractals: ${MAX_FRACTALS}`);
   logger.info(`   Registry: ${config.registry.dataFile}`);
-});
+
+  if (proposals) {
+    const interval = (config.proposals.pollIntervalSeconds || 15) * 1000;
+    proposalTimer = setInterval(processProposals, interval);
+    logger.info(`   Proposals: admin room ${config.proposals.adminRoomId}`);
+  }
+
+  // Firewall rules are lost on reboot; put back each fractal's network rules
+  restoreNetworkRules();
+
+  // Drop snapshots past retention, including archives of deleted fractals
+  snapshots.pruneAll().catch(err => logger.error('Snapshot pruning failed:', err.message));
+
+  // Archives staged by imports a crash interrupted (recovery has run, nothing uses them)
+  bundles.cleanStaging().catch(err => logger.error('Cleaning import staging failed:', err.message));
+
+  // Repair workspace permission drift as it appears
+  workspace.watch(() => registry.list().map(f => f.agentId));
+
+  // Reopen persisted port forwards
+  ports.start().then(() => {
+    if (ports.allocations.length > 0) {
+      logger.info(`   Port forwards: ${ports.allocations.length} in ${ports.rangeStart}-${ports.rangeEnd}`);
+    }
+  });
+
+  // Retry pending webhook deliveries, including ones left over from before a restart
+  webhookTimer = setInterval(() => webhooks.processDue(), (config.webhooks?.pollIntervalSeconds || 5) * 1000);
+  webhooks.processDue();
+}
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  clearInterval(proposalTimer);
+  clearInterval(webhookTimer);
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -432,6 +4254,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  clearInterval(proposalTimer);
+  clearInterval(webhookTimer);
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
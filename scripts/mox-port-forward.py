@@ -7,6 +7,9 @@ container recreation by OpenClaw.
 
 Port range: 9000-9099 reserved for Fraktalia/Mox services.
 
+Superseded by the Fractal API's port forwards (POST /fractal/:id/ports),
+which work for any fractal; kept for hosts without the API.
+
 Usage:
     python3 mox-port-forward.py [PORT...]
     python3 mox-port-forward.py 9000          # forward host:9000 → container:9000